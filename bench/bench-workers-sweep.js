@@ -36,7 +36,7 @@ for (const c of configs) {
   const times = [];
   for (let i = 0; i < 3; i++) {
     await fs.emptyDir(outDir);
-    times.push(await runCli([glob, "--out", outDir, ...c.args]));
+    times.push(await runCli([glob, "--out", outDir, "--no-cache", ...c.args]));
   }
   times.sort((a, b) => a - b);
   const best = times[0];
@@ -95,7 +95,8 @@ async function cliRun(args, outDir) {
   await new Promise((resolve, reject) => {
     const child = spawn(
       process.execPath,
-      [path.join(ROOT, "bin", "cli.js"), ...args, "--out", outDir],
+      // --no-cache: every rep must actually optimize, not hit the result cache
+      [path.join(ROOT, "bin", "cli.js"), ...args, "--out", outDir, "--no-cache"],
       { stdio: "ignore" }
     );
     child.once("exit", (code) =>
@@ -0,0 +1,134 @@
+// Runs fetchSVG() / optimizeSVGFromURL() against a local stand-in HTTP server
+// that misbehaves in the ways a remote host can: slow or oversized bodies,
+// gzip bombs, wrong Content-Types and encodings, redirect loops and redirects
+// to private addresses. Checks that each case fails with the expected error
+// code (or succeeds). Exits 1 on any mismatch.
+//
+//   node bench/fetch-check.js
+import http from "http";
+import zlib from "zlib";
+import { fetchSVG, optimizeSVGFromURL } from "../lib/index.js";
+
+const ICON =
+  '<?xml version="1.0"?><svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><!-- icon --><path d="M 0 0 L 24 24"/></svg>';
+const SVG_TYPE = { "content-type": "image/svg+xml" };
+
+const ROUTES = {
+  "/icon.svg": (req, res) => res.writeHead(200, SVG_TYPE).end(ICON),
+  "/charset.svg": (req, res) =>
+    res.writeHead(200, { "content-type": 'image/svg+xml; charset="UTF-8"' }).end(ICON),
+  "/gzip.svg": (req, res) =>
+    res.writeHead(200, { ...SVG_TYPE, "content-encoding": "gzip" }).end(zlib.gzipSync(ICON)),
+  "/br.svg": (req, res) =>
+    res.writeHead(200, { ...SVG_TYPE, "content-encoding": "br" }).end(zlib.brotliCompressSync(ICON)),
+  "/icon.svgz": (req, res) => res.writeHead(200, SVG_TYPE).end(zlib.gzipSync(ICON)),
+  "/bomb.svgz": (req, res) =>
+    res.writeHead(200, { ...SVG_TYPE, "content-encoding": "gzip" }).end(zlib.gzipSync(Buffer.alloc(64 * 1024 * 1024))),
+  "/corrupt.svg": (req, res) =>
+    res.writeHead(200, { ...SVG_TYPE, "content-encoding": "gzip" }).end("not gzip"),
+  "/compress.svg": (req, res) =>
+    res.writeHead(200, { ...SVG_TYPE, "content-encoding": "compress" }).end(ICON),
+  "/page.html": (req, res) => res.writeHead(200, { "content-type": "text/html" }).end("<html></html>"),
+  "/untyped.svg": (req, res) => res.writeHead(200).end(ICON),
+  "/latin1.svg": (req, res) =>
+    res.writeHead(200, { "content-type": "image/svg+xml; charset=iso-8859-1" }).end(ICON),
+  "/utf16.svg": (req, res) =>
+    res.writeHead(200, SVG_TYPE).end(Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(ICON, "utf16le")])),
+  "/binary.svg": (req, res) => res.writeHead(200, SVG_TYPE).end(Buffer.from([0x3c, 0xc3, 0x28])),
+  "/declared-large.svg": (req, res) =>
+    res.writeHead(200, { ...SVG_TYPE, "content-length": 64 * 1024 * 1024 }).end(),
+  // No Content-Length: only the streaming cap can stop it
+  "/endless.svg": (req, res) => {
+    res.writeHead(200, SVG_TYPE);
+    const chunk = Buffer.alloc(64 * 1024, " ");
+    const pump = () => {
+      while (!res.destroyed && res.write(chunk));
+      if (!res.destroyed) res.once("drain", pump);
+    };
+    pump();
+  },
+  "/slow.svg": (req, res) => {
+    res.writeHead(200, SVG_TYPE);
+    res.write("<svg");
+  },
+  "/missing.svg": (req, res) => res.writeHead(404).end(),
+  "/redirect": (req, res) => res.writeHead(302, { location: "/icon.svg" }).end(),
+  "/loop": (req, res) => res.writeHead(302, { location: "/loop" }).end(),
+  "/to-metadata": (req, res) =>
+    res.writeHead(302, { location: "http://169.254.169.254/latest/meta-data/" }).end(),
+  "/to-file": (req, res) => res.writeHead(302, { location: "file:///etc/passwd" }).end(),
+};
+
+const server = http.createServer((req, res) => {
+  res.on("error", () => {});
+  (ROUTES[req.url] || ((req, res) => res.writeHead(404).end()))(req, res);
+});
+await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+
+// The stand-in server is on loopback, so it has to be allowed explicitly
+const LOCAL = { allowPrivateNetworks: ["127.0.0.1"] };
+
+const CASES = [
+  ["plain SVG", "/icon.svg", LOCAL, "ok"],
+  ["quoted UTF-8 charset", "/charset.svg", LOCAL, "ok"],
+  ["gzip Content-Encoding", "/gzip.svg", LOCAL, "ok"],
+  ["brotli Content-Encoding", "/br.svg", LOCAL, "ok"],
+  ["raw .svgz body", "/icon.svgz", LOCAL, "ok"],
+  ["redirect", "/redirect", LOCAL, "ok"],
+  ["loopback blocked by default", "/icon.svg", {}, "PRIVATE_ADDRESS"],
+  ["localhost name blocked by default", "/icon.svg", { host: "localhost" }, "PRIVATE_ADDRESS"],
+  ["host not on allowlist", "/icon.svg", { ...LOCAL, allowHosts: ["*.example.com"] }, "HOST_NOT_ALLOWED"],
+  ["host on denylist", "/icon.svg", { ...LOCAL, denyHosts: ["127.0.0.1"] }, "HOST_NOT_ALLOWED"],
+  ["redirect to metadata address", "/to-metadata", LOCAL, "PRIVATE_ADDRESS"],
+  ["NAT64 metadata address", "http://[64:ff9b::a9fe:a9fe]/", {}, "PRIVATE_ADDRESS"],
+  ["6to4 loopback address", "http://[2002:7f00:1::]/", {}, "PRIVATE_ADDRESS"],
+  ["redirect to file:", "/to-file", LOCAL, "INVALID_URL"],
+  ["redirect loop", "/loop", LOCAL, "TOO_MANY_REDIRECTS"],
+  ["redirects disabled", "/redirect", { ...LOCAL, maxRedirects: 0 }, "TOO_MANY_REDIRECTS"],
+  ["HTTP 404", "/missing.svg", LOCAL, "HTTP_ERROR"],
+  ["HTML page", "/page.html", LOCAL, "UNSUPPORTED_CONTENT_TYPE"],
+  ["no Content-Type", "/untyped.svg", LOCAL, "UNSUPPORTED_CONTENT_TYPE"],
+  ["no Content-Type, check off", "/untyped.svg", { ...LOCAL, contentTypes: false }, "ok"],
+  ["ISO-8859-1 charset", "/latin1.svg", LOCAL, "UNSUPPORTED_ENCODING"],
+  ["UTF-16 body", "/utf16.svg", LOCAL, "UNSUPPORTED_ENCODING"],
+  ["compress Content-Encoding", "/compress.svg", LOCAL, "UNSUPPORTED_ENCODING"],
+  ["invalid UTF-8", "/binary.svg", LOCAL, "INVALID_BODY"],
+  ["corrupt gzip", "/corrupt.svg", LOCAL, "INVALID_BODY"],
+  ["declared Content-Length over cap", "/declared-large.svg", LOCAL, "TOO_LARGE"],
+  ["endless body", "/endless.svg", { ...LOCAL, maxBytes: "1MB" }, "TOO_LARGE"],
+  ["gzip bomb", "/bomb.svgz", LOCAL, "TOO_LARGE"],
+  ["stalled body", "/slow.svg", { ...LOCAL, timeout: 500 }, "TIMEOUT"],
+  ["caller abort", "/slow.svg", { ...LOCAL, abortAfter: 300 }, "ABORTED"],
+  ["unparseable URL", "http://", LOCAL, "INVALID_URL"],
+];
+
+let failures = 0;
+const rows = [];
+for (const [name, path, { host, abortAfter, ...options }, expected] of CASES) {
+  const url = path.startsWith("/") ? `${base.replace("127.0.0.1", host || "127.0.0.1")}${path}` : path;
+  if (abortAfter) options.signal = AbortSignal.timeout(abortAfter);
+  const started = Date.now();
+  let outcome;
+  try {
+    const svg = await fetchSVG(url, options);
+    outcome = svg === ICON ? "ok" : "wrong body";
+  } catch (e) {
+    outcome = e.code || `${e.name}: ${e.message}`;
+  }
+  if (outcome !== expected) failures++;
+  rows.push({ case: name, expected, got: outcome, ms: Date.now() - started });
+}
+
+// The optimizer entry point takes the same options under `fetch`
+const optimized = await optimizeSVGFromURL(`${base}/gzip.svg`, { fetch: LOCAL });
+const optimizedOk = !optimized.includes("<!--") && optimized.includes("<path");
+if (!optimizedOk) failures++;
+rows.push({ case: "optimizeSVGFromURL", expected: "optimized", got: optimizedOk ? "optimized" : optimized });
+
+server.closeAllConnections();
+server.close();
+
+console.table(rows);
+console.log(failures ? `✖ ${failures} failure(s)` : `✔ All ${rows.length} cases behaved as expected`);
+process.exitCode = failures ? 1 : 0;
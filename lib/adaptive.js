@@ -0,0 +1,145 @@
+// Adaptive optimization: try aggressive mode, check that the result kept what
+// matters, and fall back to safe mode (BASE_SAFE) for files where it didn't.
+//
+// What matters:
+//   - the output is valid SVG;
+//   - protected attributes keep every value they had (e.g. `class` values
+//     that page CSS targets, `data-*` hooks for scripts);
+//   - protected selectors that matched something still match something;
+//   - classes and ids targeted by the SVG's own <style> blocks survive;
+//   - optionally, the rendering doesn't change (see compareSVGRenders).
+import { parseSvg, querySelectorAll } from "./svgo-internals.js";
+import { optimizeSVG, validateSVG } from "./optimize.js";
+import { compareSVGRenders, DEFAULT_VISUAL_THRESHOLD } from "./visual.js";
+
+function walk(node, visit) {
+  for (const child of node.children || []) {
+    if (child.type === "element") {
+      visit(child);
+      walk(child, visit);
+    }
+  }
+}
+
+function parse(svg) {
+  try {
+    return parseSvg(svg);
+  } catch {
+    return null;
+  }
+}
+
+// "data-*" matches every data attribute
+function attributeMatcher(patterns) {
+  const exact = new Set(patterns.filter((p) => !p.endsWith("*")));
+  const prefixes = patterns.filter((p) => p.endsWith("*")).map((p) => p.slice(0, -1));
+  return (name) => exact.has(name) || prefixes.some((prefix) => name.startsWith(prefix));
+}
+
+// `class="a b"` protects a and b individually; sortAttrs/cleanupAttrs may
+// reorder or re-space the list without breaking anything.
+function attributeValues(ast, isProtected) {
+  const values = new Set();
+  walk(ast, (node) => {
+    for (const [name, value] of Object.entries(node.attributes)) {
+      if (!isProtected(name)) continue;
+      if (name === "class") {
+        for (const token of value.split(/\s+/).filter(Boolean)) values.add(`class="${token}"`);
+      } else {
+        values.add(`${name}="${value}"`);
+      }
+    }
+  });
+  return values;
+}
+
+// Class and id selectors used by the document's own <style> elements.
+function styleSelectors(ast) {
+  const selectors = new Set();
+  walk(ast, (node) => {
+    if (node.name !== "style") return;
+    const css = node.children
+      .map((c) => c.value || "")
+      .join("")
+      .replace(/\/\*[\s\S]*?\*\//g, "")
+      // Keep selectors only, so `fill: #fff` isn't read as an id
+      .replace(/\{[^}]*\}/g, ",");
+    for (const [, kind, name] of css.matchAll(/([.#])(-?[_a-zA-Z][\w-]*)/g)) {
+      selectors.add(`${kind}${name}`);
+    }
+  });
+  return selectors;
+}
+
+function selectorMatches(ast, selector) {
+  try {
+    return querySelectorAll(ast, selector).length > 0;
+  } catch {
+    return false; // An unsupported selector never counts as lost
+  }
+}
+
+/**
+ * List what an optimization lost that it shouldn't have.
+ * @param {string} original - input markup
+ * @param {string} optimized - optimized markup
+ * @param {object} [options]
+ * @param {{attributes?:string[], selectors?:string[]}} [options.protect] -
+ *   attribute names (`data-*` wildcards allowed) whose values must all survive,
+ *   and CSS selectors that must keep matching
+ * @param {boolean} [options.strict=false] - validate with the full SVGO parser
+ * @returns {string[]} problems; empty when the output is acceptable
+ */
+export function findOptimizationProblems(original, optimized, options = {}) {
+  const { protect = {}, strict = false } = options;
+  if (!validateSVG(optimized, { strict })) return ["output is not valid SVG"];
+  const before = parse(original);
+  const after = parse(optimized);
+  if (!before) return []; // Nothing to compare against
+  if (!after) return ["output is not valid SVG"];
+
+  const problems = [];
+  if (protect.attributes?.length) {
+    const isProtected = attributeMatcher(protect.attributes);
+    const kept = attributeValues(after, isProtected);
+    for (const value of attributeValues(before, isProtected)) {
+      if (!kept.has(value)) problems.push(`removed protected attribute ${value}`);
+    }
+  }
+  for (const selector of protect.selectors || []) {
+    if (selectorMatches(before, selector) && !selectorMatches(after, selector)) {
+      problems.push(`protected selector ${selector} no longer matches`);
+    }
+  }
+  for (const selector of styleSelectors(before)) {
+    if (selectorMatches(before, selector) && !selectorMatches(after, selector)) {
+      problems.push(`${selector} is used by <style> but no longer matches`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Optimize aggressively where that is safe and in safe mode elsewhere.
+ * Custom plugins apply in both modes.
+ * @param {string} svg
+ * @param {object} [options] - optimizeSVG() options plus `protect` and
+ *   `strict` (see findOptimizationProblems) and `visualCheck` (`true`, or
+ *   `{ threshold, sizes }` with threshold in % of pixels, default 0.5)
+ * @returns {Promise<{data:string, mode:"aggressive"|"safe", problems:string[]}>}
+ *   `problems` explains why aggressive mode was rejected
+ */
+export async function optimizeSVGAdaptive(svg, options = {}) {
+  const { protect, strict, visualCheck, ...optimizeOptions } = options;
+  const aggressive = optimizeSVG(svg, { ...optimizeOptions, aggressive: true }).data;
+  const problems = findOptimizationProblems(svg, aggressive, { protect, strict });
+  if (problems.length === 0 && visualCheck) {
+    const { threshold = DEFAULT_VISUAL_THRESHOLD, sizes } =
+      visualCheck === true ? {} : visualCheck;
+    const { score } = await compareSVGRenders(svg, aggressive, { sizes });
+    if (score > threshold) problems.push(`visual diff ${score}% exceeds ${threshold}%`);
+  }
+  if (problems.length === 0) return { data: aggressive, mode: "aggressive", problems };
+  const safe = optimizeSVG(svg, { ...optimizeOptions, aggressive: false }).data;
+  return { data: safe, mode: "safe", problems };
+}
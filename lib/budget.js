@@ -0,0 +1,205 @@
+// Size budgets shared by the CLI and the webpack plugin.
+//
+//   budgets: {
+//     maxSize: "10KB",          // optimized size of any single file
+//     maxTotalSize: "500KB",    // all optimized files together
+//     minReduction: 2,          // %: below this the original is kept as is
+//     files: [
+//       { files: "icons/**", maxSize: "2KB", maxTotalSize: "120KB" },
+//     ],
+//   }
+//
+// `files` rules apply to paths matching their glob(s), relative to the
+// config file's directory (or the working directory). For per-file limits the
+// last matching rule wins over earlier ones and the top-level values; each
+// rule's `maxTotalSize` bounds just the files it matches.
+import path from "path";
+import picomatch from "picomatch";
+
+const UNITS = { b: 1, kb: 1024, k: 1024, mb: 1024 * 1024, m: 1024 * 1024 };
+
+/**
+ * Parse a size given as bytes or a string such as "12KB", "1.5 MB" or "800b".
+ * @param {number|string} value
+ * @returns {number} bytes
+ */
+export function parseSize(value) {
+  if (typeof value === "number" && Number.isFinite(value) && value >= 0) return value;
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([a-z]*)\s*$/i.exec(String(value));
+  const unit = match && UNITS[(match[2] || "b").toLowerCase()];
+  if (!unit) {
+    throw new Error(`Invalid size "${value}" (expected bytes or e.g. "12KB", "1.5MB")`);
+  }
+  return Math.round(Number(match[1]) * unit);
+}
+
+function parsePercent(value, where) {
+  const n = Number(String(value).replace(/%\s*$/, ""));
+  if (!Number.isFinite(n) || n < 0 || n > 100) {
+    throw new Error(`Invalid minReduction "${value}"${where} (expected a percentage 0-100)`);
+  }
+  return n;
+}
+
+function parseLimits(raw, where) {
+  const limits = {};
+  if (raw.maxSize != null) limits.maxSize = parseSize(raw.maxSize);
+  if (raw.maxTotalSize != null) limits.maxTotalSize = parseSize(raw.maxTotalSize);
+  if (raw.minReduction != null) limits.minReduction = parsePercent(raw.minReduction, where);
+  return limits;
+}
+
+/**
+ * Validate a `budgets` object and parse its sizes. Returns null when there is
+ * nothing to enforce.
+ * @param {object|null|undefined} raw - see the comment at the top of this file
+ * @param {string} [rootDir=process.cwd()] - directory `files` globs are relative to
+ * @returns {object|null}
+ */
+export function normalizeBudgets(raw, rootDir = process.cwd()) {
+  if (!raw) return null;
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("Invalid budgets: expected an object");
+  }
+  const rules = (raw.files || []).map((rule, i) => {
+    if (!rule || !rule.files) {
+      throw new Error(`Invalid budgets: files[${i}] needs a "files" glob`);
+    }
+    const patterns = Array.isArray(rule.files) ? rule.files : [rule.files];
+    return {
+      patterns,
+      match: picomatch(patterns, { dot: true }),
+      ...parseLimits(rule, ` in budgets.files[${i}]`),
+    };
+  });
+  const budgets = { ...parseLimits(raw, ""), rules, rootDir: path.resolve(rootDir) };
+  const empty =
+    budgets.maxSize === undefined &&
+    budgets.maxTotalSize === undefined &&
+    budgets.minReduction === undefined &&
+    rules.length === 0;
+  return empty ? null : budgets;
+}
+
+/**
+ * Layer `extra` limits (e.g. from CLI flags) over normalized budgets.
+ * @param {object|null} budgets - result of normalizeBudgets()
+ * @param {{maxSize?:number|string, maxTotalSize?:number|string, minReduction?:number}} extra
+ * @returns {object|null}
+ */
+export function mergeBudgets(budgets, extra) {
+  const limits = parseLimits(extra, "");
+  if (Object.keys(limits).length === 0) return budgets;
+  return {
+    rules: [],
+    rootDir: process.cwd(),
+    ...budgets,
+    ...limits,
+  };
+}
+
+// Relative paths (e.g. webpack asset names) are taken as relative to rootDir
+const relativeTo = (budgets, filePath) =>
+  path
+    .relative(budgets.rootDir, path.resolve(budgets.rootDir, filePath))
+    .split(path.sep)
+    .join("/");
+
+/**
+ * Per-file limits for one file: top-level values overridden by matching rules.
+ * @param {object|null} budgets - result of normalizeBudgets()
+ * @param {string} filePath
+ * @returns {{maxSize?:number, minReduction?:number, rule?:string}}
+ */
+export function budgetForFile(budgets, filePath) {
+  if (!budgets) return {};
+  const limits = {};
+  if (budgets.maxSize !== undefined) limits.maxSize = budgets.maxSize;
+  if (budgets.minReduction !== undefined) limits.minReduction = budgets.minReduction;
+  const rel = relativeTo(budgets, filePath);
+  for (const rule of budgets.rules) {
+    if (!rule.match(rel)) continue;
+    if (rule.maxSize !== undefined) {
+      limits.maxSize = rule.maxSize;
+      limits.rule = rule.patterns.join(", ");
+    }
+    if (rule.minReduction !== undefined) limits.minReduction = rule.minReduction;
+  }
+  return limits;
+}
+
+/**
+ * Whether a result saves too little to be worth using, so the original
+ * should be kept (`minReduction`).
+ * @param {{minReduction?:number}} limits - result of budgetForFile()
+ * @param {number} originalSize
+ * @param {number} optimizedSize
+ * @returns {boolean}
+ */
+export function shouldKeepOriginal(limits, originalSize, optimizedSize) {
+  if (limits.minReduction === undefined || originalSize === 0) return false;
+  return ((originalSize - optimizedSize) / originalSize) * 100 < limits.minReduction;
+}
+
+const kb = (n) => (n < 1024 ? `${n}B` : `${(n / 1024).toFixed(1)}KB`);
+
+/**
+ * Check final sizes against every budget.
+ * @param {object|null} budgets - result of normalizeBudgets()
+ * @param {Array<{file:string, size:number}>} results - final size of each file
+ *   (after any original was kept); `file` appears as given in messages
+ * @returns {Array<{file:string|null, budget:string, limit:number, actual:number, message:string}>}
+ *   violations; `file` is null for total-size budgets
+ */
+export function checkBudgets(budgets, results) {
+  if (!budgets) return [];
+  const violations = [];
+  for (const { file, size } of results) {
+    const { maxSize, rule } = budgetForFile(budgets, file);
+    if (maxSize !== undefined && size > maxSize) {
+      violations.push({
+        file,
+        budget: rule ? `maxSize (${rule})` : "maxSize",
+        limit: maxSize,
+        actual: size,
+        message: `${file} is ${kb(size)}, over the ${kb(maxSize)} maxSize budget${
+          rule ? ` for ${rule}` : ""
+        }`,
+      });
+    }
+  }
+
+  const total = (list) => list.reduce((sum, r) => sum + r.size, 0);
+  if (budgets.maxTotalSize !== undefined) {
+    const actual = total(results);
+    if (actual > budgets.maxTotalSize) {
+      violations.push({
+        file: null,
+        budget: "maxTotalSize",
+        limit: budgets.maxTotalSize,
+        actual,
+        message: `${results.length} files total ${kb(actual)}, over the ${kb(
+          budgets.maxTotalSize
+        )} maxTotalSize budget`,
+      });
+    }
+  }
+  for (const rule of budgets.rules) {
+    if (rule.maxTotalSize === undefined) continue;
+    const matched = results.filter((r) => rule.match(relativeTo(budgets, r.file)));
+    const actual = total(matched);
+    if (actual > rule.maxTotalSize) {
+      const name = rule.patterns.join(", ");
+      violations.push({
+        file: null,
+        budget: `maxTotalSize (${name})`,
+        limit: rule.maxTotalSize,
+        actual,
+        message: `${matched.length} files matching ${name} total ${kb(actual)}, over the ${kb(
+          rule.maxTotalSize
+        )} maxTotalSize budget`,
+      });
+    }
+  }
+  return violations;
+}
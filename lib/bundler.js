@@ -0,0 +1,145 @@
+// Shared by the Rollup/Vite and esbuild plugins: option handling, project
+// configs, include/exclude filters, `?raw` / `?url` / `?inline` import
+// parsing, and an optimizer that moves to worker threads once a build turns
+// out to be large.
+import os from "os";
+import path from "path";
+import picomatch from "picomatch";
+import { optimizeSVG, validateSVG, resolvePluginModules, WorkerPool } from "./index.js";
+import { applyConfigOptions, loadConfigCached, normalizeConfigOption } from "./config.js";
+import { assertTransferablePlugins } from "./plugins.js";
+
+export const SVG_IMPORT_QUERIES = Object.freeze(["raw", "url", "inline"]);
+// With `parallel: "auto"`, files beyond this many per build go to worker threads
+export const AUTO_PARALLEL_THRESHOLD = 32;
+// Options of the bundler plugins themselves; everything else goes to optimizeSVG()
+const PLUGIN_OPTIONS = ["config", "include", "exclude", "parallel", "defaultImport"];
+
+/**
+ * Split an import id such as `/src/icon.svg?raw` into its file and import kind.
+ * @param {string} id
+ * @returns {{file:string, kind:"raw"|"url"|"inline"|null}|null} null for non-SVG ids
+ */
+export function parseSvgImport(id) {
+  const index = id.indexOf("?");
+  const file = index === -1 ? id : id.slice(0, index);
+  if (!/\.svg$/i.test(file)) return null;
+  const params = new URLSearchParams(index === -1 ? "" : id.slice(index + 1));
+  return { file, kind: SVG_IMPORT_QUERIES.find((query) => params.has(query)) || null };
+}
+
+/**
+ * Include/exclude filter for paths relative to the project root (or asset
+ * file names). Patterns are globs or RegExps, alone or in an array.
+ * @param {{include?:string|RegExp|Array<string|RegExp>, exclude?:string|RegExp|Array<string|RegExp>}} options
+ * @returns {(file:string) => boolean}
+ */
+export function createFileFilter({ include, exclude } = {}) {
+  const matcher = (patterns) => {
+    const tests = [].concat(patterns).map((p) =>
+      p instanceof RegExp ? (file) => p.test(file) : picomatch(p, { dot: true })
+    );
+    return (file) => tests.some((test) => test(file));
+  };
+  const included = include === undefined ? () => true : matcher(include);
+  const excluded = exclude === undefined ? () => false : matcher(exclude);
+  return (file) => {
+    const posix = file.split(path.sep).join("/");
+    return included(posix) && !excluded(posix);
+  };
+}
+
+/**
+ * optimizeSVG() for a bundler build: applies the project config per file,
+ * validates the output, and (see `parallel`) runs in a worker pool.
+ */
+export class BundlerOptimizer {
+  /**
+   * @param {object} [options] - plugin options: optimizeSVG() options plus
+   *   `config` (`true`, a file path or a loaded config) and `parallel`
+   *   (`"auto"` (default), `true`, a thread count, or `false`)
+   * @param {{cwd?:string}} [context] - project root for config lookup
+   */
+  constructor(options = {}, context = {}) {
+    this.optimizeOptions = Object.fromEntries(
+      Object.entries(options).filter(([key]) => !PLUGIN_OPTIONS.includes(key))
+    );
+    this.configOption = options.config;
+    this.parallel = options.parallel ?? "auto";
+    this.cwd = context.cwd || process.cwd();
+    this.pool = null;
+    this.count = 0; // files optimized since the last close()
+  }
+
+  loadProjectConfig() {
+    const config = this.configOption;
+    if (!config) return null;
+    if (typeof config === "object") return normalizeConfigOption(config);
+    // Reloaded when the file changes, for watch builds and dev servers
+    return loadConfigCached({
+      cwd: this.cwd,
+      configFile: typeof config === "string" ? config : undefined,
+    });
+  }
+
+  /**
+   * Path of the project config file in use, for the bundler to watch; null
+   * without one or when the config was passed in as an object.
+   * @returns {Promise<string|null>}
+   */
+  async configFile() {
+    if (!this.configOption || typeof this.configOption === "object") return null;
+    return (await this.loadProjectConfig())?.filepath || null;
+  }
+
+  // Worker pool for this task, if it should use one
+  poolFor(taskOptions) {
+    this.count++;
+    if (!this.parallel) return null;
+    if (this.parallel === "auto") {
+      if (this.count <= AUTO_PARALLEL_THRESHOLD) return null;
+      try {
+        assertTransferablePlugins(taskOptions.plugins);
+      } catch {
+        return null; // Function plugins only run on this thread
+      }
+    }
+    if (!this.pool) {
+      const size =
+        typeof this.parallel === "number" ? this.parallel : Math.max(1, os.cpus().length - 1);
+      this.pool = new WorkerPool(size, {}, { lazy: true });
+    }
+    return this.pool;
+  }
+
+  /**
+   * @param {string} content - SVG markup
+   * @param {string} filePath - absolute path, for config overrides
+   * @returns {Promise<string>} optimized markup
+   */
+  async optimize(content, filePath) {
+    const config = await this.loadProjectConfig();
+    const taskOptions = applyConfigOptions(
+      config ? { ...this.optimizeOptions, config, filePath } : this.optimizeOptions
+    );
+    const pool = this.poolFor(taskOptions);
+    const data = pool
+      ? await pool.run(content, taskOptions)
+      : optimizeSVG(content, {
+          ...taskOptions,
+          plugins: await resolvePluginModules(taskOptions.plugins),
+        }).data;
+    if (!validateSVG(data)) throw new Error("optimized SVG is invalid");
+    return data;
+  }
+
+  /**
+   * Shut the worker pool down at the end of a build; the next build starts over.
+   */
+  async close() {
+    const pool = this.pool;
+    this.pool = null;
+    this.count = 0;
+    if (pool) await pool.close();
+  }
+}
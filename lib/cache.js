@@ -0,0 +1,215 @@
+// On-disk cache of optimization results, keyed by a hash of the input
+// content, the effective SVGO config (as built by buildSvgoConfig), the
+// sanitize policy and the svgo/svg-power-opt versions. CI runs that re-optimize thousands of
+// unchanged icons turn into hash lookups.
+//
+// Entries live at <dir>/<first two hex chars>/<sha256>.svg. A hit refreshes
+// the entry's mtime, and eviction removes least-recently-used entries once
+// the directory grows past `maxSize` bytes.
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { createRequire } from "module";
+import { buildSvgoConfig } from "./plugins.js";
+import { normalizeSanitizePolicy } from "./sanitize.js";
+
+const require = createRequire(import.meta.url);
+
+// Any upgrade of either package invalidates every entry.
+const VERSION_SALT = `svgo@${require("svgo/package.json").version};svg-power-opt@${
+  require("../package.json").version
+}`;
+
+export const DEFAULT_CACHE_MAX_SIZE = 100 * 1024 * 1024;
+
+/**
+ * Default cache location: node_modules/.cache/svg-power-opt in the nearest
+ * package at or above `cwd`, like other build tools. Outside any package it's
+ * the user's cache directory, so a run never creates a stray node_modules.
+ * @param {string} [cwd=process.cwd()]
+ * @returns {string} absolute path
+ */
+export function defaultCacheDir(cwd = process.cwd()) {
+  for (let dir = path.resolve(cwd); ; dir = path.dirname(dir)) {
+    if (fs.existsSync(path.join(dir, "package.json"))) {
+      return path.join(dir, "node_modules", ".cache", "svg-power-opt");
+    }
+    if (path.dirname(dir) === dir) break;
+  }
+  return path.join(userCacheDir(), "svg-power-opt");
+}
+
+function userCacheDir() {
+  if (process.env.XDG_CACHE_HOME) return process.env.XDG_CACHE_HOME;
+  if (process.platform === "win32") {
+    return process.env.LOCALAPPDATA || path.join(os.homedir(), "AppData", "Local");
+  }
+  if (process.platform === "darwin") return path.join(os.homedir(), "Library", "Caches");
+  return path.join(os.homedir(), ".cache");
+}
+
+// Plugin objects may carry functions; hash their source so edits to a
+// custom plugin invalidate its results. RegExp params would otherwise
+// serialize as {}.
+function stableReplacer(key, value) {
+  if (typeof value === "function") return `fn:${value.toString()}`;
+  if (value instanceof RegExp) return `re:${value.toString()}`;
+  return value;
+}
+
+/**
+ * Hash identifying the result of optimizing `content` with `options` (see
+ * ResultCache#key). Also used to key the webpack plugin's cache entries.
+ * @param {string} content - SVG markup
+ * @param {object} options - optimizeSVG() options with plugins loaded
+ * @returns {string} hex sha256
+ */
+export function resultCacheKey(content, options = {}) {
+  const config = buildSvgoConfig(options);
+  return crypto
+    .createHash("sha256")
+    .update(VERSION_SALT)
+    .update("\0")
+    .update(JSON.stringify(config, stableReplacer))
+    .update("\0")
+    // Applied outside the SVGO config, but changes the output just as much
+    .update(JSON.stringify(normalizeSanitizePolicy(options.sanitize)))
+    .update("\0")
+    .update(content)
+    .digest("hex");
+}
+
+export class ResultCache {
+  /**
+   * @param {{dir?:string, maxSize?:number}} [options] - `dir` defaults to
+   *   defaultCacheDir();
+   *   `maxSize` (bytes) bounds the cache, 0 disables eviction
+   */
+  constructor(options = {}) {
+    this.dir = path.resolve(options.dir || defaultCacheDir());
+    this.maxSize = options.maxSize ?? DEFAULT_CACHE_MAX_SIZE;
+    this.totalSize = null; // scanned lazily on first write
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Cache key for optimizing `content` with `options`. Plugins given as
+   * `{ module }` references must already be loaded (resolvePluginModules),
+   * so the key reflects the plugin code rather than its path.
+   * @param {string} content - SVG markup
+   * @param {object} options - optimizeSVG() options
+   * @returns {string} hex sha256
+   */
+  key(content, options = {}) {
+    return resultCacheKey(content, options);
+  }
+
+  _path(key) {
+    return path.join(this.dir, key.slice(0, 2), `${key}.svg`);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<string|null>} cached optimized SVG, or null on a miss
+   */
+  async get(key) {
+    const file = this._path(key);
+    try {
+      const data = await fs.readFile(file, "utf-8");
+      this.hits++;
+      // Mark as recently used for eviction; failure here is harmless.
+      const now = new Date();
+      fs.utimes(file, now, now).catch(() => {});
+      return data;
+    } catch {
+      this.misses++;
+      return null;
+    }
+  }
+
+  /**
+   * Store a result. Written atomically so concurrent runs sharing a cache
+   * never read a partial entry.
+   * @param {string} key
+   * @param {string} data - optimized SVG
+   */
+  async set(key, data) {
+    const file = this._path(key);
+    await fs.ensureDir(path.dirname(file));
+    // Re-storing a key replaces the entry, so its old size stops counting
+    const tracked = this.maxSize && this.totalSize !== null;
+    const previous = tracked ? (await fs.stat(file).catch(() => null))?.size ?? 0 : 0;
+    const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+    await fs.writeFile(tmp, data);
+    await fs.rename(tmp, file);
+    if (!this.maxSize) return;
+    if (this.totalSize === null) this.totalSize = await this._scanSize();
+    else this.totalSize += Buffer.byteLength(data, "utf-8") - previous;
+    if (this.totalSize > this.maxSize) await this.prune();
+  }
+
+  async _entries() {
+    const entries = [];
+    let shards;
+    try {
+      shards = await fs.readdir(this.dir);
+    } catch {
+      return entries;
+    }
+    for (const shard of shards) {
+      const shardDir = path.join(this.dir, shard);
+      let names;
+      try {
+        names = await fs.readdir(shardDir);
+      } catch {
+        continue;
+      }
+      for (const name of names) {
+        if (!name.endsWith(".svg")) continue;
+        const file = path.join(shardDir, name);
+        try {
+          const st = await fs.stat(file);
+          entries.push({ file, size: st.size, mtimeMs: st.mtimeMs });
+        } catch {
+          // Removed by a concurrent prune.
+        }
+      }
+    }
+    return entries;
+  }
+
+  async _scanSize() {
+    return (await this._entries()).reduce((sum, e) => sum + e.size, 0);
+  }
+
+  /**
+   * Evict least-recently-used entries until the cache is at most 90% of
+   * `maxSize` (so it isn't pruned again on the very next write).
+   * @returns {Promise<number>} number of entries removed
+   */
+  async prune() {
+    const entries = await this._entries();
+    let total = entries.reduce((sum, e) => sum + e.size, 0);
+    const target = this.maxSize * 0.9;
+    entries.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    let removed = 0;
+    for (const e of entries) {
+      if (total <= target) break;
+      await fs.remove(e.file);
+      total -= e.size;
+      removed++;
+    }
+    this.totalSize = total;
+    return removed;
+  }
+
+  /**
+   * Delete every entry.
+   */
+  async clear() {
+    await fs.remove(this.dir);
+    this.totalSize = 0;
+  }
+}
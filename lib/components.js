@@ -0,0 +1,376 @@
+// Framework components from optimized SVG markup: a React (JSX/TSX), Vue SFC
+// or Svelte component per icon, plus an index barrel re-exporting them all.
+//
+// Every component takes the same props:
+//   size   width and height of the icon (default "1em", so it follows the font size)
+//   color  CSS color the icon's currentColor resolves to (default "currentColor")
+//   title  accessible name; without it the icon is aria-hidden
+// and forwards everything else (class, style, event handlers, ...) to the root
+// <svg>. Monochrome icons are recolored to currentColor so `color` applies.
+import path from "path";
+import { parseSvg } from "./svgo-internals.js";
+
+export const COMPONENT_FRAMEWORKS = Object.freeze(["react", "vue", "svelte"]);
+
+const EXTENSIONS = {
+  react: { js: ".jsx", ts: ".tsx" },
+  vue: { js: ".vue", ts: ".vue" },
+  svelte: { js: ".svelte", ts: ".svelte" },
+};
+
+// Root attributes replaced by the size prop
+const SIZE_ATTRS = new Set(["width", "height"]);
+// Paint values that aren't a color to replace with currentColor
+const NOT_A_COLOR = /^(none|currentcolor|transparent|inherit|url\(.*)$/i;
+
+/**
+ * PascalCase component name for an icon: `arrow-left.svg` → `ArrowLeft`.
+ * Names that would start with a digit get an `Svg` prefix.
+ * @param {string} name - file name or relative path (separators become word breaks)
+ * @returns {string}
+ */
+export function componentName(name) {
+  const words = String(name)
+    .replace(/\.svgz?$/i, "")
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+  const pascal = words.map((w) => w[0].toUpperCase() + w.slice(1)).join("") || "Icon";
+  return /^[0-9]/.test(pascal) ? `Svg${pascal}` : pascal;
+}
+
+/**
+ * File name for a component: `Home.jsx`, `Home.tsx`, `Home.vue` or `Home.svelte`.
+ * @param {string} name - component name
+ * @param {"react"|"vue"|"svelte"} framework
+ * @param {{typescript?:boolean}} [options]
+ * @returns {string}
+ */
+export function componentFileName(name, framework, options = {}) {
+  return `${name}${EXTENSIONS[assertFramework(framework)][options.typescript ? "ts" : "js"]}`;
+}
+
+function assertFramework(framework) {
+  if (!COMPONENT_FRAMEWORKS.includes(framework)) {
+    throw new Error(
+      `Unknown component framework "${framework}" (expected ${COMPONENT_FRAMEWORKS.join(", ")})`
+    );
+  }
+  return framework;
+}
+
+function walk(node, visit) {
+  for (const child of node.children || []) {
+    if (child.type === "element") {
+      visit(child);
+      walk(child, visit);
+    }
+  }
+}
+
+// Monochrome icons (one paint color, or none at all, i.e. default black)
+// switch to currentColor; multicolor artwork keeps its colors.
+function applyCurrentColor(root) {
+  const colors = new Set();
+  walk({ children: [root] }, (node) => {
+    for (const name of ["fill", "stroke"]) {
+      const value = node.attributes[name];
+      if (value !== undefined && !NOT_A_COLOR.test(value.trim())) colors.add(value.trim().toLowerCase());
+    }
+  });
+  if (colors.size > 1) return;
+  if (colors.size === 0) {
+    if (root.attributes.fill === undefined) root.attributes.fill = "currentColor";
+    return;
+  }
+  walk({ children: [root] }, (node) => {
+    for (const name of ["fill", "stroke"]) {
+      const value = node.attributes[name];
+      if (value !== undefined && colors.has(value.trim().toLowerCase())) {
+        node.attributes[name] = "currentColor";
+      }
+    }
+  });
+}
+
+// --- React ----------------------------------------------------------------
+
+const camelCase = (name) => name.replace(/[-:]([a-z])/g, (_, c) => c.toUpperCase());
+
+function reactAttrName(name) {
+  if (name === "class") return "className";
+  if (name === "for") return "htmlFor";
+  if (/^(data|aria)-/.test(name)) return name;
+  return camelCase(name);
+}
+
+function reactStyle(css) {
+  const entries = css
+    .split(";")
+    .map((decl) => decl.split(/:(.*)/s))
+    .filter(([prop, value]) => prop?.trim() && value?.trim())
+    .map(([prop, value]) => {
+      prop = prop.trim();
+      const key = prop.startsWith("--") ? prop : camelCase(prop.toLowerCase());
+      return `${/^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key)}: ${JSON.stringify(value.trim())}`;
+    });
+  return `{{ ${entries.join(", ")} }}`;
+}
+
+function reactAttr(name, value) {
+  if (name === "style") return `style=${reactStyle(value)}`;
+  // JSX string attributes decode entities and can't hold a double quote
+  const literal = /["&]/.test(value) ? `{${JSON.stringify(value)}}` : `"${value}"`;
+  return `${reactAttrName(name)}=${literal}`;
+}
+
+const isText = (child) => (child.type === "text" || child.type === "cdata") && child.value.trim();
+
+// Text-only content, rendered inline so no whitespace is added around it
+function textContent(node) {
+  if (node.children.some((child) => child.type === "element")) return null;
+  const text = node.children.filter(isText).map((child) => child.value).join("");
+  return text || null;
+}
+
+function reactChildren(node, depth) {
+  const pad = "  ".repeat(depth);
+  const lines = [];
+  for (const child of node.children) {
+    if (child.type === "element") {
+      lines.push(...reactElement(child, depth));
+    } else if (isText(child)) {
+      lines.push(`${pad}{${JSON.stringify(child.value)}}`);
+    }
+  }
+  return lines;
+}
+
+function reactElement(node, depth, extraAttrs = [], extraChildren = []) {
+  const pad = "  ".repeat(depth);
+  const attrs = [
+    ...Object.entries(node.attributes).map(([name, value]) => reactAttr(name, value)),
+    ...extraAttrs,
+  ];
+  const open = `${pad}<${node.name}${attrs.length ? ` ${attrs.join(" ")}` : ""}`;
+  const text = textContent(node);
+  if (text !== null && extraChildren.length === 0) {
+    return [`${open}>{${JSON.stringify(text)}}</${node.name}>`];
+  }
+  const children = [...extraChildren, ...reactChildren(node, depth + 1)];
+  if (children.length === 0) return [`${open} />`];
+  return [`${open}>`, ...children, `${pad}</${node.name}>`];
+}
+
+function reactComponent(root, name, typescript) {
+  const propsType = `${name}Props`;
+  const body = reactElement(
+    root,
+    2,
+    [
+      "width={size}",
+      "height={size}",
+      "color={color}",
+      'role={title ? "img" : undefined}',
+      "aria-hidden={title ? undefined : true}",
+      "{...props}",
+    ],
+    ["      {title ? <title>{title}</title> : null}"]
+  );
+  return [
+    "// Generated by svg-power-opt. Do not edit.",
+    ...(typescript
+      ? [
+          'import type { SVGProps } from "react";',
+          "",
+          `export type ${propsType} = SVGProps<SVGSVGElement> & {`,
+          "  size?: number | string;",
+          "  title?: string;",
+          "};",
+        ]
+      : []),
+    "",
+    `export default function ${name}({`,
+    '  size = "1em",',
+    '  color = "currentColor",',
+    "  title,",
+    "  ...props",
+    `}${typescript ? `: ${propsType}` : ""}) {`,
+    "  return (",
+    ...body,
+    "  );",
+    "}",
+    "",
+  ].join("\n");
+}
+
+// --- Vue and Svelte templates ----------------------------------------------
+
+// Both compilers treat "{" specially in text and attribute values ("{{" in
+// Vue, "{" in Svelte) and decode entities afterwards.
+const escapeTemplate = (s, quote) =>
+  s
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/\{/g, "&#123;")
+    .replace(/\}/g, "&#125;")
+    .replace(/"/g, quote ? "&quot;" : '"');
+
+function templateElement(node, depth, framework, extraAttrs = [], extraChildren = []) {
+  const pad = "  ".repeat(depth);
+  // Vue ignores <style> tags in templates; render it as a dynamic element
+  const tag = framework === "vue" && node.name === "style" ? "component" : node.name;
+  const attrs = [
+    ...(tag !== node.name ? ['is="style"'] : []),
+    ...Object.entries(node.attributes).map(
+      ([name, value]) => `${name}="${escapeTemplate(value, true)}"`
+    ),
+    ...extraAttrs,
+  ];
+  const open = `${pad}<${tag}${attrs.length ? ` ${attrs.join(" ")}` : ""}`;
+  // Svelte reads a nested <style> verbatim, without decoding entities
+  const escape = (text) =>
+    framework === "svelte" && node.name === "style" ? text : escapeTemplate(text, false);
+  const text = textContent(node);
+  if (text !== null && extraChildren.length === 0) return [`${open}>${escape(text)}</${tag}>`];
+  const children = [...extraChildren];
+  for (const child of node.children) {
+    if (child.type === "element") {
+      children.push(...templateElement(child, depth + 1, framework));
+    } else if (isText(child)) {
+      children.push(`${pad}  ${escape(child.value)}`);
+    }
+  }
+  if (children.length === 0) return [`${open} />`];
+  return [`${open}>`, ...children, `${pad}</${tag}>`];
+}
+
+function vueComponent(root, typescript) {
+  const script = typescript
+    ? [
+        '<script setup lang="ts">',
+        "withDefaults(defineProps<{ size?: number | string; color?: string; title?: string }>(), {",
+        '  size: "1em",',
+        '  color: "currentColor",',
+        "});",
+        "</script>",
+      ]
+    : [
+        "<script setup>",
+        "defineProps({",
+        '  size: { type: [Number, String], default: "1em" },',
+        '  color: { type: String, default: "currentColor" },',
+        "  title: { type: String, default: undefined },",
+        "});",
+        "</script>",
+      ];
+  // Attributes that aren't props fall through to the root <svg>
+  const body = templateElement(
+    root,
+    1,
+    "vue",
+    [
+      ':width="size"',
+      ':height="size"',
+      ':color="color"',
+      ":role=\"title ? 'img' : undefined\"",
+      ":aria-hidden=\"title ? undefined : 'true'\"",
+    ],
+    ['    <title v-if="title">{{ title }}</title>']
+  );
+  return [
+    "<!-- Generated by svg-power-opt. Do not edit. -->",
+    ...script,
+    "",
+    "<template>",
+    ...body,
+    "</template>",
+    "",
+  ].join("\n");
+}
+
+function svelteComponent(root, typescript) {
+  const script = typescript
+    ? [
+        '<script lang="ts">',
+        '  export let size: number | string = "1em";',
+        '  export let color = "currentColor";',
+        "  export let title: string | undefined = undefined;",
+        "</script>",
+      ]
+    : [
+        "<script>",
+        '  export let size = "1em";',
+        '  export let color = "currentColor";',
+        "  /** @type {string | undefined} */",
+        "  export let title = undefined;",
+        "</script>",
+      ];
+  const body = templateElement(
+    root,
+    0,
+    "svelte",
+    [
+      "width={size}",
+      "height={size}",
+      "{color}",
+      'role={title ? "img" : undefined}',
+      'aria-hidden={title ? undefined : "true"}',
+      "{...$$restProps}",
+    ],
+    ["  {#if title}<title>{title}</title>{/if}"]
+  );
+  return ["<!-- Generated by svg-power-opt. Do not edit. -->", ...script, "", ...body, ""].join("\n");
+}
+
+/**
+ * Turn SVG markup (normally optimizeSVG() output) into component source.
+ * @param {string} svg
+ * @param {object} options
+ * @param {"react"|"vue"|"svelte"} options.framework
+ * @param {string} [options.name="Icon"] - component name (React function name)
+ * @param {boolean} [options.typescript=false] - TSX / `lang="ts"`
+ * @param {boolean} [options.currentColor=true] - recolor monochrome icons to currentColor
+ * @returns {string}
+ */
+export function svgToComponent(svg, options) {
+  const { name = "Icon", typescript = false, currentColor = true } = options;
+  const framework = assertFramework(options.framework);
+  const root = parseSvg(svg).children.find((c) => c.type === "element" && c.name === "svg");
+  if (!root) throw new Error("No <svg> root element to turn into a component");
+
+  const { width, height } = root.attributes;
+  if (!root.attributes.viewBox && parseFloat(width) > 0 && parseFloat(height) > 0) {
+    // Keep the artwork scalable once the size prop replaces width/height
+    root.attributes.viewBox = `0 0 ${parseFloat(width)} ${parseFloat(height)}`;
+  }
+  for (const attr of SIZE_ATTRS) delete root.attributes[attr];
+  if (currentColor) applyCurrentColor(root);
+
+  if (framework === "react") return reactComponent(root, name, typescript);
+  if (framework === "vue") return vueComponent(root, typescript);
+  return svelteComponent(root, typescript);
+}
+
+/**
+ * Index barrel re-exporting every component.
+ * @param {Array<{name:string, file:string}>} components - export name and
+ *   component path relative to the barrel
+ * @param {"react"|"vue"|"svelte"} framework
+ * @returns {string}
+ */
+export function formatComponentIndex(components, framework) {
+  assertFramework(framework);
+  const lines = ["// Generated by svg-power-opt. Do not edit."];
+  const used = new Map();
+  for (const { name, file } of [...components].sort((a, b) => a.name.localeCompare(b.name))) {
+    // Distinct paths can still produce the same name (a-b.svg, a/b.svg)
+    const count = (used.get(name) || 0) + 1;
+    used.set(name, count);
+    let specifier = file.split(path.sep).join("/");
+    if (!specifier.startsWith(".")) specifier = `./${specifier}`;
+    // Bundlers resolve .jsx/.tsx without an extension, but not .vue/.svelte
+    if (framework === "react") specifier = specifier.replace(/\.[jt]sx$/, "");
+    lines.push(`export { default as ${count > 1 ? `${name}${count}` : name} } from "${specifier}";`);
+  }
+  return `${lines.join("\n")}\n`;
+}
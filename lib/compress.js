@@ -0,0 +1,72 @@
+// Transfer-encoding helpers. Optimized XML byte counts understate (or
+// overstate) what actually crosses the wire once a server gzips or brotli-
+// compresses the response, so reports and precompressed sidecars for static
+// hosting both go through here.
+import zlib from "zlib";
+import { promisify } from "util";
+
+const gzipAsync = promisify(zlib.gzip);
+const brotliAsync = promisify(zlib.brotliCompress);
+
+// Sidecar formats and the extension appended to the SVG file name.
+export const SIDECAR_EXTENSIONS = Object.freeze({ gzip: ".gz", brotli: ".br" });
+
+/**
+ * Gzip SVG markup at maximum compression (what `.svgz` and `.svg.gz` need).
+ * @param {string|Buffer} svg
+ * @returns {Promise<Buffer>}
+ */
+export function gzipSVG(svg) {
+  return gzipAsync(toBuffer(svg), { level: zlib.constants.Z_BEST_COMPRESSION });
+}
+
+/**
+ * Brotli-compress SVG markup at maximum quality in text mode.
+ * @param {string|Buffer} svg
+ * @returns {Promise<Buffer>}
+ */
+export function brotliSVG(svg) {
+  const buf = toBuffer(svg);
+  return brotliAsync(buf, {
+    params: {
+      [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+      [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+      [zlib.constants.BROTLI_PARAM_SIZE_HINT]: buf.length,
+    },
+  });
+}
+
+/**
+ * Raw, gzip and brotli byte counts for SVG markup.
+ * @param {string|Buffer} svg
+ * @returns {Promise<{raw:number, gzip:number, brotli:number}>}
+ */
+export async function measureCompressedSizes(svg) {
+  const buf = toBuffer(svg);
+  const [gz, br] = await Promise.all([gzipSVG(buf), brotliSVG(buf)]);
+  return { raw: buf.length, gzip: gz.length, brotli: br.length };
+}
+
+/**
+ * Normalize a sidecar format list (`"gzip,br"`, `["gz"]`, `true`) to
+ * canonical names. `true` means both formats.
+ * @param {string|string[]|boolean} formats
+ * @returns {Array<"gzip"|"brotli">}
+ */
+export function parseSidecarFormats(formats) {
+  if (formats === true) return ["gzip", "brotli"];
+  if (!formats) return [];
+  const list = Array.isArray(formats) ? formats : String(formats).split(",");
+  const out = new Set();
+  for (const raw of list) {
+    const name = raw.trim().toLowerCase();
+    if (name === "gzip" || name === "gz") out.add("gzip");
+    else if (name === "brotli" || name === "br") out.add("brotli");
+    else if (name) throw new Error(`Unknown precompression format: ${raw}`);
+  }
+  return [...out];
+}
+
+function toBuffer(svg) {
+  return Buffer.isBuffer(svg) ? svg : Buffer.from(svg, "utf-8");
+}
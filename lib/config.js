@@ -0,0 +1,212 @@
+// Project configuration: discovery, loading and per-file resolution.
+//
+// A config file sets the same options as optimizeSVG() plus CLI output
+// settings, and may carry `overrides` that apply to files matching a glob:
+//
+//   export default {
+//     aggressive: false,
+//     plugins: [],
+//     out: "optimized",
+//     png: { width: 256, height: 256 },
+//     overrides: [{ files: "icons/**", aggressive: true }],
+//   };
+//
+// Globs and relative paths inside the config resolve against the directory
+// the config file lives in.
+import fs from "fs-extra";
+import path from "path";
+import picomatch from "picomatch";
+import { pathToFileURL } from "url";
+import { normalizePluginRefs } from "./plugins.js";
+
+// Searched in this order in each directory, walking up from the start dir.
+export const CONFIG_FILES = Object.freeze([
+  "svg-power-opt.config.js",
+  "svg-power-opt.config.mjs",
+  ".svgpoweroptrc",
+  ".svgpoweroptrc.json",
+]);
+
+// Keys that are forwarded to optimizeSVG() for each file.
+const OPTIMIZE_KEYS = Object.freeze([
+  "aggressive",
+  "multipass",
+  "preserveViewBox",
+  "removeDimensions",
+  "plugins",
+  "sanitize",
+]);
+
+/**
+ * Find the nearest config file, starting at `startDir` and walking up to the
+ * filesystem root.
+ * @param {string} [startDir=process.cwd()]
+ * @returns {Promise<string|null>} absolute path, or null if none exists
+ */
+export async function findConfigFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+  for (;;) {
+    for (const name of CONFIG_FILES) {
+      const candidate = path.join(dir, name);
+      if (await fs.pathExists(candidate)) return candidate;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Load a config file. With no `configFile`, the nearest one above `cwd` is
+ * used. JS configs are imported (default export, or the module namespace);
+ * rc files are JSON.
+ * @param {{configFile?:string, cwd?:string}} [options]
+ * @returns {Promise<object|null>} normalized config, or null if none was found
+ */
+export async function loadConfig(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const filepath = options.configFile
+    ? path.resolve(cwd, options.configFile)
+    : await findConfigFile(cwd);
+  if (!filepath) return null;
+
+  let raw;
+  try {
+    if (/\.(c|m)?js$/.test(filepath)) {
+      // The mtime in the URL gets an edited config past the module cache
+      const { mtimeMs } = await fs.stat(filepath);
+      const mod = await import(`${pathToFileURL(filepath).href}?mtime=${mtimeMs}`);
+      raw = mod.default ?? mod;
+    } else {
+      raw = JSON.parse(await fs.readFile(filepath, "utf-8"));
+    }
+  } catch (e) {
+    throw new Error(`Failed to load config ${filepath}: ${e.message}`);
+  }
+  return normalizeConfig(raw, filepath);
+}
+
+// Configs loaded by loadConfigCached(), by file path: { mtimeMs, promise }
+const loadedConfigs = new Map();
+
+/**
+ * loadConfig() for long-running builds (webpack watch, dev servers) that ask
+ * for the config again and again. A loaded config is reused until the file's
+ * mtime changes; a failed load is retried on the next call.
+ * @param {{configFile?:string, cwd?:string}} [options]
+ * @returns {Promise<object|null>}
+ */
+export async function loadConfigCached(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const filepath = options.configFile
+    ? path.resolve(cwd, options.configFile)
+    : await findConfigFile(cwd);
+  if (!filepath) return null;
+  const mtimeMs = (await fs.stat(filepath).catch(() => null))?.mtimeMs;
+  let entry = loadedConfigs.get(filepath);
+  if (!entry || entry.mtimeMs !== mtimeMs) {
+    entry = { mtimeMs, promise: loadConfig({ configFile: filepath }) };
+    loadedConfigs.set(filepath, entry);
+    entry.promise.catch(() => {
+      if (loadedConfigs.get(filepath) === entry) loadedConfigs.delete(filepath);
+    });
+  }
+  return entry.promise;
+}
+
+/**
+ * Validate a raw config object and attach its location. Exposed so callers
+ * can build a config in code and still get override resolution.
+ * @param {object} raw
+ * @param {string} [filepath] - where it came from; globs resolve against its directory
+ * @returns {object}
+ */
+export function normalizeConfig(raw, filepath) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`Invalid config${filepath ? ` in ${filepath}` : ""}: expected an object`);
+  }
+  const rootDir = filepath ? path.dirname(filepath) : process.cwd();
+  const overrides = (raw.overrides || []).map((o, i) => {
+    if (!o || !o.files) {
+      throw new Error(`Invalid config: overrides[${i}] needs a "files" glob`);
+    }
+    const patterns = Array.isArray(o.files) ? o.files : [o.files];
+    const { files, ...settings } = o;
+    if (settings.plugins) settings.plugins = normalizePluginRefs(settings.plugins, rootDir);
+    return { patterns, match: picomatch(patterns, { dot: true }), settings };
+  });
+  // `{ module }` plugin paths are relative to the config file, not the cwd
+  const plugins = raw.plugins ? normalizePluginRefs(raw.plugins, rootDir) : raw.plugins;
+  return { ...raw, plugins, overrides, filepath: filepath || null, rootDir };
+}
+
+// Plain objects passed as `config`, normalized once each
+const normalizedConfigs = new WeakMap();
+
+/**
+ * A `config` option given as an object, ready for resolveConfigForFile().
+ * Results of loadConfig()/normalizeConfig() are returned as they are; plain
+ * objects are normalized, with globs relative to the working directory.
+ * @param {object} config
+ * @returns {object}
+ */
+export function normalizeConfigOption(config) {
+  if ("rootDir" in config && "filepath" in config) return config;
+  if (!normalizedConfigs.has(config)) normalizedConfigs.set(config, normalizeConfig(config));
+  return normalizedConfigs.get(config);
+}
+
+/**
+ * Effective settings for one file: top-level config merged with every
+ * matching override, in order. Plugin lists from overrides are appended to
+ * the inherited ones rather than replacing them.
+ * @param {object|null} config - result of loadConfig()/normalizeConfig()
+ * @param {string} filePath
+ * @returns {object} merged settings (optimize options plus output settings)
+ */
+export function resolveConfigForFile(config, filePath) {
+  if (!config) return {};
+  const { overrides, filepath, rootDir, ...base } = config;
+  const merged = { ...base, plugins: [...(base.plugins || [])] };
+  const rel = path
+    .relative(rootDir, path.resolve(filePath))
+    .split(path.sep)
+    .join("/");
+  for (const { match, settings } of overrides) {
+    if (!match(rel)) continue;
+    const { plugins, ...rest } = settings;
+    Object.assign(merged, rest);
+    if (plugins) merged.plugins.push(...plugins);
+  }
+  return merged;
+}
+
+/**
+ * Pick just the optimizeSVG() options out of resolved settings.
+ * @param {object} settings
+ * @returns {object}
+ */
+export function pickOptimizeOptions(settings) {
+  const out = {};
+  for (const key of OPTIMIZE_KEYS) {
+    if (settings[key] !== undefined) out[key] = settings[key];
+  }
+  return out;
+}
+
+/**
+ * Fold a loaded config (`options.config`) into optimizeSVG() options. Values
+ * from the config, including overrides matching `options.filePath`, sit
+ * underneath anything passed explicitly.
+ * @param {object} options
+ * @returns {object} options without `config`/`filePath`
+ */
+export function applyConfigOptions(options) {
+  if (!options.config) return options;
+  const { config: rawConfig, filePath, ...explicit } = options;
+  const config = normalizeConfigOption(rawConfig);
+  const fromConfig = pickOptimizeOptions(
+    resolveConfigForFile(config, filePath || config.rootDir)
+  );
+  return { ...fromConfig, ...explicit };
+}
@@ -0,0 +1,83 @@
+// esbuild plugin.
+//
+// - `import svg from "./icon.svg?raw"`: the optimized markup as a string
+// - `import url from "./icon.svg?url"`: the URL of an emitted, optimized copy
+//   (esbuild's "file" loader)
+// - `import uri from "./icon.svg?inline"`: a data: URI (see svgToDataURI)
+// - Plain `.svg` imports, including CSS `url()`s, are optimized and then
+//   handed to the loader configured for ".svg" (`loader: { ".svg": "file" }`),
+//   or loaded as `defaultImport` when there is none.
+import fs from "fs-extra";
+import path from "path";
+import { BundlerOptimizer, createFileFilter, parseSvgImport } from "./bundler.js";
+import { svgToDataURI } from "./inline.js";
+
+const NAMESPACE = "file";
+
+/**
+ * @param {object} [options] - the same options as svgPowerOptRollupPlugin();
+ *   `defaultImport` applies when no loader is configured for ".svg"
+ * @returns {object} esbuild plugin
+ */
+export function svgPowerOptEsbuildPlugin(options = {}) {
+  return {
+    name: "svg-power-opt",
+    setup(build) {
+      const root = build.initialOptions.absWorkingDir || process.cwd();
+      const filter = createFileFilter(options);
+      const optimizer = new BundlerOptimizer(options, { cwd: root });
+      const configuredLoader = build.initialOptions.loader?.[".svg"];
+
+      // `?raw` etc.: resolve the file, and keep the query as a suffix so each
+      // kind of import is its own module
+      build.onResolve({ filter: /\.svg\?/i }, async (args) => {
+        const parsed = parseSvgImport(args.path);
+        if (!parsed?.kind) return undefined;
+        const result = await build.resolve(parsed.file, {
+          kind: args.kind,
+          importer: args.importer,
+          resolveDir: args.resolveDir,
+        });
+        if (result.errors.length > 0) return { errors: result.errors };
+        return {
+          path: result.path,
+          namespace: NAMESPACE,
+          suffix: args.path.slice(parsed.file.length),
+          pluginData: { kind: parsed.kind },
+        };
+      });
+
+      build.onLoad({ filter: /\.svg$/i, namespace: NAMESPACE }, async (args) => {
+        const kind = args.pluginData?.kind || null;
+        const loader = kind ? null : configuredLoader;
+        let svg;
+        let watchFiles;
+        try {
+          svg = await fs.readFile(args.path, "utf-8");
+          if (filter(path.relative(root, args.path))) svg = await optimizer.optimize(svg, args.path);
+          // Rebuild in watch mode when the project config changes
+          const configFile = await optimizer.configFile();
+          if (configFile) watchFiles = [configFile];
+        } catch (e) {
+          return { errors: [{ text: `Failed to optimize ${args.path}: ${e.message}` }] };
+        }
+        if (loader) return { contents: svg, loader, watchFiles };
+        switch (kind || options.defaultImport || "url") {
+          case "raw":
+            return { contents: svg, loader: "text", watchFiles };
+          case "inline":
+            return {
+              contents: `export default ${JSON.stringify(svgToDataURI(svg))};`,
+              loader: "js",
+              watchFiles,
+            };
+          default:
+            return { contents: svg, loader: "file", watchFiles };
+        }
+      });
+
+      // Free the worker threads after every (re)build
+      build.onEnd(() => optimizer.close());
+    },
+  };
+}
@@ -0,0 +1,155 @@
+// Favicon and app-icon bundle from one SVG:
+//
+//   favicon.svg            optimized SVG for modern browsers
+//   favicon.ico            16/32/48 px, for legacy browsers and tools
+//   apple-touch-icon.png   180 px on an opaque background (iOS home screen)
+//   icon-192.png           Android / PWA icons ("any" purpose)
+//   icon-512.png
+//   icon-maskable-192.png  PWA maskable icons: artwork inside the safe zone
+//   icon-maskable-512.png  on a solid background
+//   site.webmanifest       web app manifest referencing the PWA icons
+//   favicon-links.html     <link>/<meta> tags for the page <head>
+import path from "path";
+import fs from "fs-extra";
+import { optimizeSVG, readSVGFile } from "./optimize.js";
+import { resolvePluginModules } from "./plugins.js";
+import { renderRaster, svgIntrinsicSize } from "./raster.js";
+
+const ICO_SIZES = Object.freeze([16, 32, 48]);
+const APPLE_TOUCH_SIZE = 180;
+const PWA_SIZES = Object.freeze([192, 512]);
+// Maskable icons may be cropped to a circle of 80% of the icon's width, so
+// the artwork gets 10% padding on every side.
+const MASKABLE_PADDING = 0.1;
+
+/**
+ * Pack PNG images into an .ico file. PNG-compressed entries are supported by
+ * every browser and by Windows since Vista.
+ * @param {Array<{size:number, data:Buffer}>} images - square PNGs, up to 256 px
+ * @returns {Buffer}
+ */
+export function buildIco(images) {
+  const header = Buffer.alloc(6);
+  header.writeUInt16LE(0, 0); // reserved
+  header.writeUInt16LE(1, 2); // type: icon
+  header.writeUInt16LE(images.length, 4);
+  const entries = [];
+  let offset = 6 + 16 * images.length;
+  for (const { size, data } of images) {
+    const entry = Buffer.alloc(16);
+    entry.writeUInt8(size >= 256 ? 0 : size, 0); // width (0 means 256)
+    entry.writeUInt8(size >= 256 ? 0 : size, 1); // height
+    entry.writeUInt8(0, 2); // palette colors
+    entry.writeUInt8(0, 3); // reserved
+    entry.writeUInt16LE(1, 4); // color planes
+    entry.writeUInt16LE(32, 6); // bits per pixel
+    entry.writeUInt32LE(data.length, 8);
+    entry.writeUInt32LE(offset, 12);
+    entries.push(entry);
+    offset += data.length;
+  }
+  return Buffer.concat([header, ...entries, ...images.map((i) => i.data)]);
+}
+
+const escapeHtml = (s) =>
+  String(s).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+
+/**
+ * Generate the favicon/app-icon bundle for one SVG.
+ * @param {string} input - SVG file path (.svg or .svgz) or markup starting with `<svg`
+ * @param {string} outDir - where the files are written
+ * @param {object} [options]
+ * @param {string} [options.name] - app name for the manifest (default: the file name)
+ * @param {string} [options.shortName] - home-screen label (default: `name`)
+ * @param {string} [options.themeColor="#ffffff"] - manifest theme_color and <meta name="theme-color">
+ * @param {string} [options.backgroundColor="#ffffff"] - manifest background_color, and the
+ *   fill behind apple-touch and maskable icons
+ * @param {number} [options.maskablePadding=0.1] - fraction of each edge kept empty on maskable icons
+ * @param {string} [options.basePath="/"] - URL prefix for icon links and manifest entries
+ * @param {object} [options.optimize] - optimizeSVG() options for favicon.svg
+ * @returns {Promise<{files:string[], manifest:object, html:string}>}
+ */
+export async function generateFavicons(input, outDir, options = {}) {
+  const raw =
+    typeof input === "string" && input.trim().startsWith("<")
+      ? input
+      : await readSVGFile(input);
+  const {
+    name = typeof input === "string" && !input.trim().startsWith("<")
+      ? path.basename(input).replace(/\.svgz?$/i, "")
+      : "App",
+    shortName = name,
+    themeColor = "#ffffff",
+    backgroundColor = "#ffffff",
+    maskablePadding = MASKABLE_PADDING,
+    basePath = "/",
+    optimize: optimizeOptions = {},
+  } = options;
+  const url = (file) => `${basePath.replace(/\/?$/, "/")}${file}`;
+
+  const svg = optimizeSVG(raw, {
+    ...optimizeOptions,
+    plugins: await resolvePluginModules(optimizeOptions.plugins),
+  }).data;
+  const intrinsic = await svgIntrinsicSize(svg);
+  const png = async (size, extra = {}) =>
+    (await renderRaster(svg, { width: size, height: size, intrinsic, ...extra })).data;
+
+  await fs.ensureDir(outDir);
+  const files = [];
+  const write = async (file, data) => {
+    const target = path.join(outDir, file);
+    await fs.writeFile(target, data);
+    files.push(target);
+  };
+
+  await write("favicon.svg", svg);
+  const icoImages = [];
+  for (const size of ICO_SIZES) icoImages.push({ size, data: await png(size) });
+  await write("favicon.ico", buildIco(icoImages));
+  // iOS fills transparency with black, so give it an opaque background
+  await write(
+    "apple-touch-icon.png",
+    await png(APPLE_TOUCH_SIZE, { background: backgroundColor, padding: 0.05 })
+  );
+
+  const manifestIcons = [];
+  for (const size of PWA_SIZES) {
+    await write(`icon-${size}.png`, await png(size));
+    manifestIcons.push({ src: url(`icon-${size}.png`), sizes: `${size}x${size}`, type: "image/png" });
+  }
+  for (const size of PWA_SIZES) {
+    await write(
+      `icon-maskable-${size}.png`,
+      await png(size, { background: backgroundColor, padding: maskablePadding })
+    );
+    manifestIcons.push({
+      src: url(`icon-maskable-${size}.png`),
+      sizes: `${size}x${size}`,
+      type: "image/png",
+      purpose: "maskable",
+    });
+  }
+
+  const manifest = {
+    name,
+    short_name: shortName,
+    icons: manifestIcons,
+    theme_color: themeColor,
+    background_color: backgroundColor,
+    display: "standalone",
+  };
+  await write("site.webmanifest", `${JSON.stringify(manifest, null, 2)}\n`);
+
+  const html = [
+    `<link rel="icon" href="${escapeHtml(url("favicon.ico"))}" sizes="${ICO_SIZES.map((s) => `${s}x${s}`).join(" ")}">`,
+    `<link rel="icon" href="${escapeHtml(url("favicon.svg"))}" type="image/svg+xml">`,
+    `<link rel="apple-touch-icon" href="${escapeHtml(url("apple-touch-icon.png"))}">`,
+    `<link rel="manifest" href="${escapeHtml(url("site.webmanifest"))}">`,
+    `<meta name="theme-color" content="${escapeHtml(themeColor)}">`,
+    "",
+  ].join("\n");
+  await write("favicon-links.html", html);
+
+  return { files, manifest, html };
+}
@@ -0,0 +1,413 @@
+// Hardened download of remote SVGs, for servers that fetch URLs their users
+// supply. By default it only talks to public addresses over http(s), re-checks
+// every redirect hop, gives up after a deadline, stops reading once the body
+// goes over a byte cap (compressed or not), and checks the Content-Type and
+// text encoding before anything gets parsed.
+//
+// Private addresses are rejected in the DNS lookup the socket itself uses, so
+// a host name can't pass the check and then connect somewhere else (DNS
+// rebinding).
+import http from "http";
+import https from "https";
+import dns from "dns";
+import net from "net";
+import zlib from "zlib";
+import { promisify } from "util";
+import { parseSize } from "./budget.js";
+
+export const FETCH_DEFAULTS = Object.freeze({
+  timeout: 10000,
+  connectTimeout: 5000,
+  maxBytes: 5 * 1024 * 1024,
+  maxRedirects: 5,
+  contentTypes: Object.freeze(["image/svg+xml", "application/xml", "text/xml"]),
+});
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+const DECOMPRESS = {
+  gzip: promisify(zlib.gunzip),
+  "x-gzip": promisify(zlib.gunzip),
+  deflate: promisify(zlib.inflate),
+  br: promisify(zlib.brotliDecompress),
+};
+
+// Loopback, private, link-local (including cloud metadata at 169.254.169.254),
+// shared, documentation, multicast and reserved ranges. IPv4-mapped IPv6
+// addresses are matched against the IPv4 ranges, and so are the IPv4
+// addresses embedded in NAT64 and 6to4 ones (see TRANSLATED_RANGES).
+const PRIVATE_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  PRIVATE_RANGES.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b:1::", 48],
+  ["100::", 64],
+  ["2001:db8::", 32],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["fec0::", 10],
+  ["ff00::", 8],
+]) {
+  PRIVATE_RANGES.addSubnet(address, prefix, "ipv6");
+}
+
+// NAT64 (64:ff9b::/96) and 6to4 (2002::/16) addresses reach the IPv4 address
+// they embed, so that address decides whether they are private.
+const TRANSLATED_RANGES = new net.BlockList();
+TRANSLATED_RANGES.addSubnet("64:ff9b::", 96, "ipv6");
+TRANSLATED_RANGES.addSubnet("2002::", 16, "ipv6");
+
+// Dotted-quad IPv4 address inside a NAT64 (last 32 bits) or 6to4 (bits
+// 16–47) address.
+function embeddedIPv4(address) {
+  // The URL parser canonicalizes the address (hex words, "::" compression)
+  const [head, tail] = new URL(`http://[${address}]`).hostname.slice(1, -1).split("::");
+  const parse = (part) => (part ? part.split(":").map((word) => parseInt(word, 16)) : []);
+  const words = parse(head);
+  const rest = parse(tail);
+  words.push(...new Array(8 - words.length - rest.length).fill(0), ...rest);
+  const [high, low] = words[0] === 0x2002 ? words.slice(1, 3) : words.slice(6);
+  return [high >> 8, high & 0xff, low >> 8, low & 0xff].join(".");
+}
+
+/**
+ * Error thrown by fetchSVG(). `code` says which check failed: INVALID_URL,
+ * HOST_NOT_ALLOWED, PRIVATE_ADDRESS, TIMEOUT, ABORTED, NETWORK, HTTP_ERROR,
+ * TOO_MANY_REDIRECTS, INSECURE_REDIRECT, UNSUPPORTED_CONTENT_TYPE,
+ * UNSUPPORTED_ENCODING, TOO_LARGE or INVALID_BODY.
+ */
+export class SVGFetchError extends Error {
+  constructor(code, message, { url, status, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "SVGFetchError";
+    this.code = code;
+    this.url = url;
+    if (status !== undefined) this.status = status;
+  }
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not a
+ * public internet address.
+ * @param {string} address
+ * @returns {boolean}
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) throw new Error(`Not an IP address: "${address}"`);
+  if (family === 6 && TRANSLATED_RANGES.check(address, "ipv6")) {
+    return isPrivateAddress(embeddedIPv4(address));
+  }
+  return PRIVATE_RANGES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * Download an SVG over http(s) with the checks a server needs before fetching
+ * a URL it was given. Rejects with an SVGFetchError.
+ * @param {string|URL} url
+ * @param {object} [options]
+ * @param {number} [options.timeout=10000] - ms for the whole download, redirects included
+ * @param {number} [options.connectTimeout=5000] - ms to open each connection
+ * @param {number|string} [options.maxBytes="5MB"] - cap on the body, both as
+ *   received and once decompressed
+ * @param {number} [options.maxRedirects=5]
+ * @param {Array<string|RegExp>} [options.allowHosts] - only these hosts
+ *   ("example.com", "*.example.com" for subdomains, or RegExps)
+ * @param {Array<string|RegExp>} [options.denyHosts] - never these hosts
+ * @param {boolean|string[]} [options.allowPrivateNetworks=false] - `true`, or
+ *   the addresses/CIDR ranges (e.g. "10.1.0.0/16") that may be private
+ * @param {string[]|false} [options.contentTypes] - accepted media types
+ *   (default image/svg+xml, application/xml, text/xml); `false` accepts any
+ * @param {object} [options.headers] - extra request headers
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<string>} the SVG markup
+ */
+export async function fetchSVG(url, options = {}) {
+  const settings = resolveFetchOptions(options);
+  const controller = new AbortController();
+  const timer = setTimeout(
+    () =>
+      controller.abort(
+        new SVGFetchError("TIMEOUT", `Timed out after ${settings.timeout} ms fetching ${url}`, {
+          url: String(url),
+        })
+      ),
+    settings.timeout
+  );
+  const onAbort = () =>
+    controller.abort(new SVGFetchError("ABORTED", `Aborted fetching ${url}`, { url: String(url) }));
+  if (options.signal?.aborted) onAbort();
+  else options.signal?.addEventListener("abort", onAbort, { once: true });
+
+  let current = parseURL(url);
+  try {
+    for (let redirects = 0; ; redirects++) {
+      checkTarget(current, settings);
+      const res = await request(current, settings, controller.signal);
+      if (!REDIRECT_STATUSES.has(res.statusCode) || !res.headers.location) {
+        return await readBody(res, current, settings);
+      }
+      res.resume();
+      if (redirects >= settings.maxRedirects) {
+        throw new SVGFetchError(
+          "TOO_MANY_REDIRECTS",
+          `More than ${settings.maxRedirects} redirects fetching ${url}`,
+          { url: current.href, status: res.statusCode }
+        );
+      }
+      const next = parseURL(res.headers.location, current);
+      if (current.protocol === "https:" && next.protocol === "http:") {
+        throw new SVGFetchError(
+          "INSECURE_REDIRECT",
+          `${current.href} redirects from https to ${next.href}`,
+          { url: current.href, status: res.statusCode }
+        );
+      }
+      current = next;
+    }
+  } catch (e) {
+    if (controller.signal.aborted) throw controller.signal.reason;
+    if (e instanceof SVGFetchError) {
+      e.url ||= current.href;
+      throw e;
+    }
+    throw new SVGFetchError("NETWORK", `Failed to fetch ${current.href}: ${e.message}`, {
+      url: current.href,
+      cause: e,
+    });
+  } finally {
+    clearTimeout(timer);
+    options.signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+function resolveFetchOptions(options) {
+  const settings = { ...FETCH_DEFAULTS };
+  for (const key of ["timeout", "connectTimeout", "maxRedirects"]) {
+    if (options[key] == null) continue;
+    const value = Number(options[key]);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`Invalid fetch option ${key}: "${options[key]}" (expected a whole number)`);
+    }
+    settings[key] = value;
+  }
+  if (options.maxBytes != null) settings.maxBytes = parseSize(options.maxBytes);
+  if (options.contentTypes !== undefined) {
+    settings.contentTypes = options.contentTypes
+      ? options.contentTypes.map((type) => type.toLowerCase())
+      : null;
+  }
+  settings.allowHosts = options.allowHosts || null;
+  settings.denyHosts = options.denyHosts || [];
+  settings.headers = options.headers || {};
+
+  const privateNetworks = options.allowPrivateNetworks;
+  if (privateNetworks === true) {
+    settings.addressAllowed = () => true;
+  } else {
+    const allowed = new net.BlockList();
+    for (const entry of Array.isArray(privateNetworks) ? privateNetworks : []) {
+      const [address, prefix] = entry.split("/");
+      const family = net.isIP(address);
+      if (!family) throw new Error(`Invalid allowPrivateNetworks entry: "${entry}"`);
+      const type = family === 6 ? "ipv6" : "ipv4";
+      if (prefix === undefined) allowed.addAddress(address, type);
+      else allowed.addSubnet(address, Number(prefix), type);
+    }
+    settings.addressAllowed = (address) =>
+      !isPrivateAddress(address) || allowed.check(address, net.isIP(address) === 6 ? "ipv6" : "ipv4");
+  }
+  settings.lookup = guardedLookup(settings.addressAllowed);
+  return settings;
+}
+
+function parseURL(value, base) {
+  try {
+    return new URL(value, base);
+  } catch {
+    throw new SVGFetchError("INVALID_URL", `Invalid URL: "${value}"`, { url: String(value) });
+  }
+}
+
+// Host name without IPv6 brackets or a trailing dot
+function hostOf(url) {
+  return url.hostname.replace(/^\[(.*)\]$/, "$1").replace(/\.$/, "");
+}
+
+function hostMatches(host, pattern) {
+  if (pattern instanceof RegExp) return pattern.test(host);
+  const wanted = String(pattern).toLowerCase().replace(/\.$/, "");
+  if (wanted.startsWith("*.")) return host.endsWith(wanted.slice(1));
+  return host === wanted;
+}
+
+// Checks that don't need a connection; run again for every redirect hop
+function checkTarget(url, settings) {
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new SVGFetchError("INVALID_URL", `Only http and https URLs can be fetched: ${url.href}`, {
+      url: url.href,
+    });
+  }
+  const host = hostOf(url);
+  if (
+    settings.denyHosts.some((pattern) => hostMatches(host, pattern)) ||
+    (settings.allowHosts && !settings.allowHosts.some((pattern) => hostMatches(host, pattern)))
+  ) {
+    throw new SVGFetchError("HOST_NOT_ALLOWED", `Host not allowed: ${host}`, { url: url.href });
+  }
+  // IP literals never go through the lookup below
+  if (net.isIP(host) && !settings.addressAllowed(host)) {
+    throw new SVGFetchError("PRIVATE_ADDRESS", `${host} is a private or reserved address`, {
+      url: url.href,
+    });
+  }
+}
+
+// dns.lookup() that refuses to hand a private address to the socket
+function guardedLookup(addressAllowed) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+      const blocked = addresses.find(({ address }) => !addressAllowed(address));
+      if (blocked) {
+        return callback(
+          new SVGFetchError(
+            "PRIVATE_ADDRESS",
+            `${hostname} resolves to ${blocked.address}, a private or reserved address`
+          )
+        );
+      }
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+function request(url, settings, signal) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === "https:" ? https : http;
+    const req = client.request(url, {
+      method: "GET",
+      headers: {
+        accept: "image/svg+xml, application/xml;q=0.9, */*;q=0.1",
+        "accept-encoding": "gzip, deflate, br",
+        "user-agent": "svg-power-opt",
+        ...settings.headers,
+      },
+      lookup: settings.lookup,
+      agent: false,
+      signal,
+    });
+    const connectTimer = setTimeout(
+      () =>
+        req.destroy(
+          new SVGFetchError(
+            "TIMEOUT",
+            `Could not connect to ${url.host} within ${settings.connectTimeout} ms`,
+            { url: url.href }
+          )
+        ),
+      settings.connectTimeout
+    );
+    req.once("socket", (socket) => {
+      if (socket.connecting) socket.once("connect", () => clearTimeout(connectTimer));
+      else clearTimeout(connectTimer);
+    });
+    req.once("response", (res) => {
+      clearTimeout(connectTimer);
+      resolve(res);
+    });
+    req.once("error", (error) => {
+      clearTimeout(connectTimer);
+      reject(error);
+    });
+    req.end();
+  });
+}
+
+async function readBody(res, url, settings) {
+  const fail = (code, message) => {
+    res.destroy();
+    return new SVGFetchError(code, message, { url: url.href, status: res.statusCode });
+  };
+  if (res.statusCode < 200 || res.statusCode >= 300) {
+    throw fail("HTTP_ERROR", `Fetching ${url.href} failed with HTTP ${res.statusCode}`);
+  }
+
+  const [type, ...params] = (res.headers["content-type"] || "").split(";");
+  const mediaType = type.trim().toLowerCase();
+  if (settings.contentTypes && !settings.contentTypes.includes(mediaType)) {
+    throw fail(
+      "UNSUPPORTED_CONTENT_TYPE",
+      mediaType
+        ? `${url.href} is ${mediaType}, not SVG`
+        : `${url.href} has no Content-Type, so it can't be checked as SVG`
+    );
+  }
+  const charset = params
+    .map((param) => /^\s*charset\s*=\s*"?([^";\s]+)/i.exec(param)?.[1])
+    .find(Boolean);
+  if (charset && !/^(utf-?8|us-ascii)$/i.test(charset)) {
+    throw fail("UNSUPPORTED_ENCODING", `${url.href} is in ${charset}; only UTF-8 is supported`);
+  }
+  // Applied in reverse order of listing
+  const encodings = (res.headers["content-encoding"] || "")
+    .split(",")
+    .map((encoding) => encoding.trim().toLowerCase())
+    .filter((encoding) => encoding && encoding !== "identity");
+  const unsupported = encodings.find((encoding) => !DECOMPRESS[encoding]);
+  if (unsupported) {
+    throw fail("UNSUPPORTED_ENCODING", `${url.href} uses unsupported Content-Encoding ${unsupported}`);
+  }
+
+  const tooLarge = () => `${url.href} is larger than ${settings.maxBytes} bytes`;
+  if (Number(res.headers["content-length"]) > settings.maxBytes) throw fail("TOO_LARGE", tooLarge());
+  const chunks = [];
+  let received = 0;
+  for await (const chunk of res) {
+    received += chunk.length;
+    if (received > settings.maxBytes) throw fail("TOO_LARGE", tooLarge());
+    chunks.push(chunk);
+  }
+  let body = Buffer.concat(chunks);
+
+  // A gzipped body without Content-Encoding is a plain .svgz file
+  if (encodings.length === 0 && body[0] === 0x1f && body[1] === 0x8b) encodings.push("gzip");
+  for (const encoding of encodings.reverse()) {
+    try {
+      body = await DECOMPRESS[encoding](body, { maxOutputLength: settings.maxBytes });
+    } catch (e) {
+      if (e.code === "ERR_BUFFER_TOO_LARGE") {
+        throw fail("TOO_LARGE", `${url.href} decompresses to more than ${settings.maxBytes} bytes`);
+      }
+      throw fail("INVALID_BODY", `${url.href} is not valid ${encoding} data: ${e.message}`);
+    }
+  }
+
+  if ((body[0] === 0xff && body[1] === 0xfe) || (body[0] === 0xfe && body[1] === 0xff)) {
+    throw fail("UNSUPPORTED_ENCODING", `${url.href} is UTF-16; only UTF-8 is supported`);
+  }
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(body);
+  } catch {
+    throw fail("INVALID_BODY", `${url.href} is not valid UTF-8`);
+  }
+}
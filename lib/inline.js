@@ -0,0 +1,178 @@
+// Inline usage of optimized SVGs: data: URIs, and CSS / ES modules bundling a
+// whole icon set.
+//
+// SVG is text, so a percent-encoded data URI beats base64 (which adds a third
+// and compresses worse). Only what has to be escaped is: whitespace runs are
+// collapsed, double quotes become single quotes so the URI fits in url("..."),
+// and "%", "#", control and non-ASCII characters are percent-encoded.
+//
+// Icons larger than the inline limit are referenced by URL instead, the way
+// bundlers treat assets over their inline limit.
+import path from "path";
+
+export const DEFAULT_INLINE_LIMIT = 4096; // bytes
+
+/**
+ * Turn SVG markup into a minimally escaped `data:image/svg+xml` URI.
+ * @param {string|Buffer} svg
+ * @returns {string}
+ */
+export function svgToDataURI(svg) {
+  const body = String(svg)
+    .trim()
+    .replace(/\s+/g, " ")
+    // Existing single quotes would end the swapped attribute quotes early
+    .replace(/[^\x20-\x7e]|[%#']/gu, (c) => (c === "'" ? "%27" : encodeURIComponent(c)))
+    .replace(/"/g, "'");
+  return `data:image/svg+xml,${body}`;
+}
+
+/**
+ * Icon name for CSS: the path relative to the icon root, kebab-cased.
+ * `outline/Arrow_Left.svg` → `outline-arrow-left`.
+ * @param {string} file - path relative to the icon root
+ * @returns {string}
+ */
+export function inlineIconName(file) {
+  return (
+    String(file)
+      .replace(/\.svgz?$/i, "")
+      .replace(/([a-z0-9])([A-Z])/g, "$1-$2")
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean)
+      .join("-") || "icon"
+  );
+}
+
+const RESERVED = new Set(
+  (
+    "break case catch class const continue debugger default delete do else enum export extends " +
+    "false finally for function if import in instanceof let new null return static super switch " +
+    "this throw true try typeof var void while with yield await implements interface package " +
+    "private protected public"
+  ).split(" ")
+);
+
+// camelCase export name for a kebab-cased icon name
+function identifier(name) {
+  const id = name.replace(/-([a-z0-9])/g, (_, c) => c.toUpperCase());
+  if (/^[0-9]/.test(id)) return `icon${id}`;
+  return RESERVED.has(id) ? `${id}Icon` : id;
+}
+
+// Inline `icon.svg` as markup/a data URI, or reference `icon.url` when it is
+// over the limit (and has a URL to fall back to)
+function isInlined(icon, limit) {
+  return !icon.url || Buffer.byteLength(icon.svg, "utf-8") <= limit;
+}
+
+// `bases` made distinct, in order: a repeat gets the first free suffix 2, 3, ...
+// after `separator`, skipping values that occur anyway
+function distinct(bases, separator) {
+  const taken = new Set(bases);
+  const seen = new Set();
+  return bases.map((base) => {
+    if (!seen.has(base)) {
+      seen.add(base);
+      return base;
+    }
+    let n = 2;
+    while (taken.has(`${base}${separator}${n}`)) n++;
+    const value = `${base}${separator}${n}`;
+    taken.add(value);
+    seen.add(value);
+    return value;
+  });
+}
+
+/**
+ * Sort icons by name and rename repeats (`a-b`, `a-b-2`), so no two share a
+ * CSS name. Icons with the same name keep the order of their `url`s.
+ * @param {Array<{name:string, url?:string}>} icons
+ * @returns {{icons:object[], renamed:Array<{icon:object, name:string}>}} the
+ *   icons with distinct names, and which of the given icons were renamed to what
+ */
+export function uniqueIconNames(icons) {
+  const sorted = [...icons].sort(
+    (a, b) => a.name.localeCompare(b.name) || (a.url || "").localeCompare(b.url || "")
+  );
+  const names = distinct(sorted.map((icon) => icon.name), "-");
+  const renamed = [];
+  const unique = sorted.map((icon, i) => {
+    if (names[i] === icon.name) return icon;
+    renamed.push({ icon, name: names[i] });
+    return { ...icon, name: names[i] };
+  });
+  return { icons: unique, renamed };
+}
+
+const cssURL = (url) => `url("${url.replace(/["\\\n]/g, (c) => encodeURIComponent(c))}")`;
+
+/**
+ * CSS for an icon set: one custom property per icon on `:root`, or one class
+ * per icon setting `background-image`.
+ * @param {Array<{name:string, svg:string, url?:string}>} icons - `name` as from
+ *   inlineIconName(); `url` is used instead of a data URI for icons over `limit`
+ * @param {object} [options]
+ * @param {boolean} [options.classes=false] - emit classes instead of custom properties
+ * @param {string} [options.prefix="icon-"] - custom property / class name prefix
+ * @param {number} [options.limit=4096] - largest icon (bytes) to inline
+ * @returns {string}
+ */
+export function formatInlineCSS(icons, options = {}) {
+  const { classes = false, prefix = "icon-", limit = DEFAULT_INLINE_LIMIT } = options;
+  const value = (icon) => cssURL(isInlined(icon, limit) ? svgToDataURI(icon.svg) : icon.url);
+  const sorted = uniqueIconNames(icons).icons;
+  const lines = ["/* Generated by svg-power-opt. Do not edit. */"];
+  if (classes) {
+    for (const icon of sorted) {
+      lines.push(`.${prefix}${icon.name} {`, `  background-image: ${value(icon)};`, "}");
+    }
+  } else {
+    lines.push(":root {", ...sorted.map((icon) => `  --${prefix}${icon.name}: ${value(icon)};`), "}");
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * ES module exporting each icon as a string: the markup, or its data URI.
+ * With markup, icons over the limit are left out (they stay separate files);
+ * with data URIs they are exported as URLs resolved against the module.
+ * @param {Array<{name:string, svg:string, url?:string}>} icons - as for formatInlineCSS();
+ *   `url` should be relative to the module
+ * @param {object} [options]
+ * @param {boolean} [options.dataUri=false] - export data URIs instead of markup
+ * @param {number} [options.limit=4096] - largest icon (bytes) to inline
+ * @returns {string}
+ */
+export function formatInlineModule(icons, options = {}) {
+  const { dataUri = false, limit = DEFAULT_INLINE_LIMIT } = options;
+  const lines = ["// Generated by svg-power-opt. Do not edit."];
+  const sorted = uniqueIconNames(icons).icons;
+  // Distinct names can still produce the same identifier (a-b-2, a-b2)
+  const names = distinct(sorted.map((icon) => identifier(icon.name)), "");
+  for (const [i, icon] of sorted.entries()) {
+    const name = names[i];
+    if (isInlined(icon, limit)) {
+      lines.push(`export const ${name} = ${JSON.stringify(dataUri ? svgToDataURI(icon.svg) : icon.svg)};`);
+    } else if (dataUri) {
+      lines.push(`export const ${name} = new URL(${JSON.stringify(icon.url)}, import.meta.url).href;`);
+    } else {
+      lines.push(`// ${name}: over the inline limit, see ${icon.url}`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * URL of `file` relative to the module or stylesheet at `from`, for the
+ * `url` of formatInlineCSS() / formatInlineModule() entries.
+ * @param {string} from - path of the generated CSS/JS file
+ * @param {string} file - path of the referenced SVG
+ * @returns {string}
+ */
+export function relativeURL(from, file) {
+  const rel = path.relative(path.dirname(from), file).split(path.sep).join("/");
+  return rel.startsWith(".") ? rel : `./${rel}`;
+}
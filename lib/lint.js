@@ -0,0 +1,404 @@
+// SVG linting: problems the optimizer can't (or shouldn't) fix silently.
+//
+// lintSVG() returns ESLint-style diagnostics:
+//
+//   { ruleId: "no-scripts", severity: "error", message: "...", line: 3, column: 5,
+//     fix?: { range: [start, end], text } }
+//
+// Locations are 1-based and point into the original source. Fixes are text
+// edits on that source; applyLintFixes() applies them and fixSVG() lints,
+// fixes and re-lints in one go. Markup that doesn't parse gets a single
+// `fatal` diagnostic with `ruleId: null`.
+import { parseSvg } from "./svgo-internals.js";
+
+export const LINT_SEVERITIES = Object.freeze(["off", "warning", "error"]);
+
+export const LINT_RULES = Object.freeze({
+  "no-embedded-raster": {
+    severity: "warning",
+    fixable: false,
+    description: "Raster images embedded as data: URIs, which the optimizer can't shrink",
+  },
+  "require-viewbox": {
+    severity: "warning",
+    fixable: true,
+    description: "A root <svg> without viewBox, which won't scale with CSS",
+  },
+  "prefer-current-color": {
+    severity: "warning",
+    fixable: true,
+    description: "Monochrome icons with a hardcoded fill/stroke instead of currentColor",
+  },
+  "no-external-references": {
+    severity: "error",
+    fixable: false,
+    description: "href, url() and @import references to other files or hosts",
+  },
+  "no-scripts": {
+    severity: "error",
+    fixable: true,
+    description: "<script> elements, on* event handlers and javascript: URLs",
+  },
+});
+
+const SEVERITY_ALIASES = { warn: "warning", 0: "off", 1: "warning", 2: "error" };
+// Passes of fixSVG(); fixes can enable other fixes, but rarely more than once
+const MAX_FIX_PASSES = 10;
+// Paint values that aren't a color to replace with currentColor
+const NOT_A_COLOR = /^(none|currentcolor|transparent|inherit|url\(.*)$/i;
+const HREF_ATTRS = ["href", "xlink:href"];
+const URL_FUNCTION = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+const CSS_IMPORT = /@import\s+(?:url\(\s*)?['"]?([^'")\s;]+)/gi;
+
+/**
+ * Effective severity of every rule: the defaults with `rules` on top.
+ * @param {Object<string, "off"|"warning"|"error">} [rules] - `"warn"` is accepted too
+ * @returns {Object<string, "off"|"warning"|"error">}
+ */
+export function resolveLintRules(rules = {}) {
+  const resolved = Object.fromEntries(
+    Object.entries(LINT_RULES).map(([id, rule]) => [id, rule.severity])
+  );
+  for (const [id, value] of Object.entries(rules)) {
+    if (!LINT_RULES[id]) {
+      throw new Error(`Unknown lint rule "${id}" (expected ${Object.keys(LINT_RULES).join(", ")})`);
+    }
+    const severity = SEVERITY_ALIASES[value] || value;
+    if (!LINT_SEVERITIES.includes(severity)) {
+      throw new Error(
+        `Invalid severity "${value}" for lint rule "${id}" (expected ${LINT_SEVERITIES.join(", ")})`
+      );
+    }
+    resolved[id] = severity;
+  }
+  return resolved;
+}
+
+// --- Source positions -------------------------------------------------------
+
+// Start tags in document order, with the source ranges of their attributes.
+// The parser doesn't keep positions, so elements are matched to these by index.
+function scanTags(source) {
+  const tags = [];
+  const skipPast = (marker, from) => {
+    const end = source.indexOf(marker, from);
+    return end === -1 ? source.length : end + marker.length;
+  };
+  let i = 0;
+  while ((i = source.indexOf("<", i)) !== -1) {
+    if (source.startsWith("<!--", i)) {
+      i = skipPast("-->", i + 4);
+    } else if (source.startsWith("<![CDATA[", i)) {
+      i = skipPast("]]>", i + 9);
+    } else if (source.startsWith("<?", i)) {
+      i = skipPast("?>", i + 2);
+    } else if (source.startsWith("<!", i)) {
+      // DOCTYPE, possibly with an internal subset in brackets
+      const bracket = source.indexOf("[", i);
+      const close = source.indexOf(">", i);
+      i = bracket !== -1 && bracket < close ? skipPast(">", skipPast("]", bracket)) : skipPast(">", i);
+    } else if (source[i + 1] === "/") {
+      i = skipPast(">", i);
+    } else {
+      const tag = scanStartTag(source, i);
+      if (!tag) {
+        i++;
+        continue;
+      }
+      tags.push(tag);
+      i = tag.end;
+    }
+  }
+  return tags;
+}
+
+function scanStartTag(source, start) {
+  const name = /<([^\s/>]+)/y;
+  name.lastIndex = start;
+  const match = name.exec(source);
+  if (!match) return null;
+  const tag = { name: match[1], start, end: source.length, selfClosing: false, attributes: [] };
+  const attribute = /(\s*)([^\s=/>]+)(?:\s*=\s*("[^"]*"|'[^']*'))?/y;
+  const close = /\s*(\/?)>/y;
+  let pos = name.lastIndex;
+  for (;;) {
+    close.lastIndex = pos;
+    const closed = close.exec(source);
+    if (closed) {
+      tag.selfClosing = closed[1] === "/";
+      tag.end = close.lastIndex;
+      return tag;
+    }
+    attribute.lastIndex = pos;
+    const attr = attribute.exec(source);
+    if (!attr) return tag; // Malformed; the parser has complained already
+    const nameStart = pos + attr[1].length;
+    tag.attributes.push({
+      name: attr[2],
+      // Leading whitespace included, so removing the range leaves clean markup
+      removeStart: pos,
+      start: nameStart,
+      end: attribute.lastIndex,
+      valueStart: attr[3] ? attribute.lastIndex - attr[3].length + 1 : null,
+      valueEnd: attr[3] ? attribute.lastIndex - 1 : null,
+    });
+    pos = attribute.lastIndex;
+  }
+}
+
+function lineStarts(source) {
+  const starts = [0];
+  for (let i = 0; i < source.length; i++) if (source[i] === "\n") starts.push(i + 1);
+  return starts;
+}
+
+function toLineColumn(starts, offset) {
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (starts[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return { line: low + 1, column: offset - starts[low] + 1 };
+}
+
+// --- Rules ------------------------------------------------------------------
+
+function textOf(node) {
+  return (node.children || [])
+    .map((child) => (child.type === "text" || child.type === "cdata" ? child.value : textOf(child)))
+    .join("");
+}
+
+const isLocalReference = (value) => /^\s*(#|data:)/i.test(value) || value.trim() === "";
+const isScriptURL = (value) => /^\s*javascript:/i.test(value.replace(/[\u0000- ]/g, ""));
+
+// Remove a whole element, and the indentation/line break it leaves behind
+function removeElementFix(source, tag) {
+  let start = tag.start;
+  let end = tag.end;
+  if (!tag.selfClosing) {
+    const closing = new RegExp(`</${tag.name.replace(/[.:-]/g, "\\$&")}\\s*>`, "g");
+    closing.lastIndex = tag.end;
+    end = closing.exec(source) ? closing.lastIndex : source.length;
+  }
+  while (start > 0 && /[ \t]/.test(source[start - 1])) start--;
+  if ((start === 0 || source[start - 1] === "\n") && source[end] === "\n") end++;
+  return { range: [start, end], text: "" };
+}
+
+const RULES = {
+  "no-embedded-raster"({ elements, report }) {
+    for (const el of elements) {
+      if (el.node.name !== "image" && el.node.name !== "feImage") continue;
+      for (const attr of HREF_ATTRS) {
+        const value = el.node.attributes[attr];
+        const type = value && /^\s*data:(image\/[\w.+-]+)/i.exec(value)?.[1].toLowerCase();
+        if (!type || type === "image/svg+xml") continue;
+        report(el, attr, `Embedded ${type} image (${(value.length / 1024).toFixed(1)}KB) can't be optimized; link or vectorize it`);
+      }
+    }
+  },
+
+  "require-viewbox"({ elements, report }) {
+    const root = elements[0];
+    if (!root || root.node.name !== "svg" || root.node.attributes.viewBox !== undefined) return;
+    const size = (value) => {
+      const match = /^\s*(\d*\.?\d+)\s*(px)?\s*$/.exec(value || "");
+      return match ? Number(match[1]) : null;
+    };
+    const width = size(root.node.attributes.width);
+    const height = size(root.node.attributes.height);
+    const insertAt = root.tag && root.tag.start + 1 + root.tag.name.length;
+    const fix =
+      width && height && insertAt
+        ? { range: [insertAt, insertAt], text: ` viewBox="0 0 ${width} ${height}"` }
+        : undefined;
+    report(root, null, "Missing viewBox; the SVG won't scale with CSS width/height", fix);
+  },
+
+  "prefer-current-color"({ elements, report }) {
+    // Same rule as svgToComponent(): one paint color means a monochrome icon
+    const paints = [];
+    for (const el of elements) {
+      for (const attr of ["fill", "stroke"]) {
+        const value = el.node.attributes[attr];
+        if (value !== undefined && !NOT_A_COLOR.test(value.trim())) paints.push({ el, attr, value });
+      }
+    }
+    if (new Set(paints.map((p) => p.value.trim().toLowerCase())).size !== 1) return;
+    for (const { el, attr, value } of paints) {
+      const range = el.attribute(attr);
+      report(
+        el,
+        attr,
+        `Hardcoded ${attr}="${value.trim()}" in a monochrome icon; use currentColor so CSS can recolor it`,
+        range?.valueStart != null ? { range: [range.valueStart, range.valueEnd], text: "currentColor" } : undefined
+      );
+    }
+  },
+
+  "no-external-references"({ elements, report }) {
+    for (const el of elements) {
+      for (const [attr, value] of Object.entries(el.node.attributes)) {
+        // Hyperlinks navigate rather than load; javascript: is no-scripts' job
+        if (HREF_ATTRS.includes(attr)) {
+          if (el.node.name !== "a" && !isLocalReference(value) && !isScriptURL(value)) {
+            report(el, attr, `External reference "${value.trim()}" in <${el.node.name}> ${attr}`);
+          }
+          continue;
+        }
+        for (const [, , target] of value.matchAll(URL_FUNCTION)) {
+          if (!isLocalReference(target)) {
+            report(el, attr, `External reference url(${target}) in ${attr}`);
+          }
+        }
+      }
+      if (el.node.name === "style") {
+        const css = textOf(el.node);
+        for (const [, target] of css.matchAll(CSS_IMPORT)) {
+          report(el, null, `External stylesheet @import "${target}" in <style>`);
+        }
+        // url()s outside @import rules, which are reported once above
+        for (const [, , target] of css.replace(/@import[^;]*;?/gi, "").matchAll(URL_FUNCTION)) {
+          if (!isLocalReference(target)) report(el, null, `External reference url(${target}) in <style>`);
+        }
+      }
+    }
+  },
+
+  "no-scripts"({ source, elements, report }) {
+    for (const el of elements) {
+      if (el.node.name === "script") {
+        report(el, null, "<script> element", el.tag ? removeElementFix(source, el.tag) : undefined);
+        continue; // Its attributes go with it
+      }
+      for (const [attr, value] of Object.entries(el.node.attributes)) {
+        const handler = /^on/i.test(attr);
+        if (!handler && !(HREF_ATTRS.includes(attr) && isScriptURL(value))) continue;
+        const range = el.attribute(attr);
+        report(
+          el,
+          attr,
+          handler ? `Event handler ${attr} on <${el.node.name}>` : `javascript: URL in <${el.node.name}> ${attr}`,
+          range ? { range: [range.removeStart, range.end], text: "" } : undefined
+        );
+      }
+    }
+  },
+};
+
+/**
+ * Lint SVG markup.
+ * @param {string|Buffer} svg
+ * @param {{rules?:Object<string, "off"|"warning"|"error">}} [options] - rule
+ *   severities over the defaults (see LINT_RULES)
+ * @returns {Array<{ruleId:string|null, severity:"warning"|"error", message:string,
+ *   line:number, column:number, fatal?:boolean, fix?:{range:[number, number], text:string}}>}
+ *   sorted by position
+ */
+export function lintSVG(svg, options = {}) {
+  const source = String(svg);
+  const severities = resolveLintRules(options.rules);
+  let root;
+  try {
+    root = parseSvg(source);
+  } catch (e) {
+    return [
+      {
+        ruleId: null,
+        severity: "error",
+        fatal: true,
+        message: `Parse error: ${e.reason || e.message}`,
+        line: e.line || 1,
+        column: e.column || 1,
+      },
+    ];
+  }
+
+  const starts = lineStarts(source);
+  const tags = scanTags(source);
+  const elements = [];
+  const collect = (node) => {
+    for (const child of node.children || []) {
+      if (child.type !== "element") continue;
+      const tag = tags[elements.length];
+      elements.push({
+        node: child,
+        tag: tag && tag.name === child.name ? tag : null,
+        attribute(name) {
+          return this.tag?.attributes.find((a) => a.name === name) || null;
+        },
+      });
+      collect(child);
+    }
+  };
+  collect(root);
+
+  const diagnostics = [];
+  for (const [ruleId, rule] of Object.entries(RULES)) {
+    const severity = severities[ruleId];
+    if (severity === "off") continue;
+    const report = (el, attr, message, fix) => {
+      const offset = (attr && el.attribute(attr)?.start) ?? el.tag?.start ?? 0;
+      diagnostics.push({
+        ruleId,
+        severity,
+        message,
+        ...toLineColumn(starts, offset),
+        offset,
+        ...(fix ? { fix } : {}),
+      });
+    };
+    rule({ source, elements, report });
+  }
+  return diagnostics
+    .sort((a, b) => a.offset - b.offset)
+    .map(({ offset, ...diagnostic }) => diagnostic);
+}
+
+/**
+ * Apply the fixes of lintSVG() diagnostics to the source they came from.
+ * Overlapping fixes are skipped; run fixSVG() to apply them in later passes.
+ * @param {string|Buffer} svg
+ * @param {Array<object>} diagnostics
+ * @returns {{output:string, fixed:number}}
+ */
+export function applyLintFixes(svg, diagnostics) {
+  const source = String(svg);
+  const fixes = diagnostics
+    .filter((d) => d.fix)
+    .map((d) => d.fix)
+    .sort((a, b) => a.range[0] - b.range[0] || a.range[1] - b.range[1]);
+  let output = "";
+  let pos = 0;
+  let fixed = 0;
+  for (const { range, text } of fixes) {
+    if (range[0] < pos) continue;
+    output += source.slice(pos, range[0]) + text;
+    pos = range[1];
+    fixed++;
+  }
+  return { output: output + source.slice(pos), fixed };
+}
+
+/**
+ * Lint, apply every available fix, and lint again until nothing is left to fix.
+ * @param {string|Buffer} svg
+ * @param {object} [options] - as for lintSVG()
+ * @returns {{output:string, fixed:number, diagnostics:Array<object>}} the fixed
+ *   markup, how many fixes were applied, and what remains
+ */
+export function fixSVG(svg, options = {}) {
+  let output = String(svg);
+  let fixed = 0;
+  let diagnostics = lintSVG(output, options);
+  for (let pass = 0; pass < MAX_FIX_PASSES && diagnostics.some((d) => d.fix); pass++) {
+    const result = applyLintFixes(output, diagnostics);
+    output = result.output;
+    fixed += result.fixed;
+    diagnostics = lintSVG(output, options);
+  }
+  return { output, fixed, diagnostics };
+}
@@ -0,0 +1,138 @@
+// optimizeSVG(), optimizeSVGFromFile(), validateSVG() and readSVGFile(), kept
+// apart from index.js so modules that index.js re-exports (adaptive.js,
+// favicon.js, sprite.js) can use them without an import cycle.
+import fs from "fs-extra";
+import zlib from "zlib";
+import { promisify } from "util";
+import { optimize } from "svgo";
+import { measureCompressedSizes } from "./compress.js";
+import { applyConfigOptions } from "./config.js";
+import { buildSvgoConfig, resolvePluginModules } from "./plugins.js";
+import { ResultCache } from "./cache.js";
+import { sanitizeSVG } from "./sanitize.js";
+
+const gunzipAsync = promisify(zlib.gunzip);
+
+/**
+ * Optimize SVG content string with SVGO.
+ * Pass `options.config` (from `loadConfig()`) to apply a project config, and
+ * `options.filePath` to select its per-glob overrides. Plugins given as
+ * `{ module }` references must be loaded first (see resolvePluginModules),
+ * which the async entry points below do for you.
+ * `options.sanitize` (`true`, or sanitizeSVG() options) strips unsafe content
+ * in the same pass; the result then also lists what was `removed`.
+ */
+export function optimizeSVG(svgContent, options = {}) {
+  const { sanitize, ...effective } = applyConfigOptions(options);
+  if (sanitize) {
+    return sanitizeSVG(svgContent, { ...(sanitize === true ? {} : sanitize), optimize: effective });
+  }
+  const svgoConfig = buildSvgoConfig(effective);
+
+  try {
+    return optimize(svgContent, svgoConfig);
+  } catch (e) {
+    throw new Error(`SVGO optimization failed: ${e.message}`);
+  }
+}
+
+// Cheap well-formedness check: looks for an <svg ...> open tag and matching </svg>
+// close tag. Avoids running the full SVGO parser on already-optimized output,
+// which was the single biggest per-file overhead in the hot CLI path.
+const SVG_OPEN = /<svg[\s>]/i;
+const SVG_CLOSE = /<\/svg\s*>\s*$/i;
+
+/**
+ * Validate SVG content. Returns true for well-formed SVG markup.
+ *
+ * Fast path: a structural regex check. Pass `{ strict: true }` to run the full
+ * SVGO parser (same behavior as before). For problems in well-formed markup
+ * (scripts, external references, missing viewBox, ...) see lintSVG().
+ */
+export function validateSVG(svgContent, options = {}) {
+  if (typeof svgContent !== "string" || svgContent.length === 0) return false;
+  if (options.strict) {
+    try {
+      optimize(svgContent, { multipass: false, plugins: [] });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+  return SVG_OPEN.test(svgContent) && SVG_CLOSE.test(svgContent);
+}
+
+/**
+ * Read an SVG file as a string, transparently decompressing `.svgz`.
+ */
+export async function readSVGFile(filePath) {
+  if (filePath.endsWith(".svgz")) {
+    const gzipped = await fs.readFile(filePath);
+    const buf = await gunzipAsync(gzipped);
+    return buf.toString("utf-8");
+  }
+  return fs.readFile(filePath, "utf-8");
+}
+
+// Apply a project config and load `{ module }` plugin references so the
+// synchronous optimizeSVG() can run. Shared by the async entry points here
+// and in index.js.
+export async function resolveOptions(options, filePath) {
+  const effective = applyConfigOptions(
+    options.config && filePath ? { filePath, ...options } : options
+  );
+  if (!effective.plugins) return effective;
+  return { ...effective, plugins: await resolvePluginModules(effective.plugins) };
+}
+
+// `cache: true` shares one default-location ResultCache per process.
+let defaultCache = null;
+function getCache(cache) {
+  if (!cache) return null;
+  if (cache === true) return (defaultCache ||= new ResultCache());
+  return cache;
+}
+
+/**
+ * Optimize SVG from a file path. Handles both .svg and compressed .svgz files.
+ * When `options.withSizes` is true, returns `{ data, originalSize, optimizedSize }`
+ * so callers (like the CLI) can avoid a second read of the input file.
+ * Adding `options.compressedSizes` also measures what goes over the wire:
+ * `originalGzipSize`, `optimizedGzipSize`, `originalBrotliSize` and
+ * `optimizedBrotliSize` (all sizes are of the uncompressed XML otherwise).
+ * With `options.cache` (a ResultCache, or `true` for the default one),
+ * unchanged inputs are served from the on-disk cache; the sizes object then
+ * reports `cached: true`.
+ */
+export async function optimizeSVGFromFile(filePath, options = {}) {
+  const content = await readSVGFile(filePath);
+  const effective = await resolveOptions(options, filePath);
+  const cache = getCache(options.cache);
+  const key = cache ? cache.key(content, effective) : null;
+  let data = cache ? await cache.get(key) : null;
+  const cached = data !== null;
+  if (!cached) {
+    data = optimizeSVG(content, effective).data;
+    if (cache) await cache.set(key, data);
+  }
+  if (options.withSizes) {
+    const sizes = {
+      data,
+      originalSize: Buffer.byteLength(content, "utf-8"),
+      optimizedSize: Buffer.byteLength(data, "utf-8"),
+      cached,
+    };
+    if (options.compressedSizes) {
+      const [before, after] = await Promise.all([
+        measureCompressedSizes(content),
+        measureCompressedSizes(data),
+      ]);
+      sizes.originalGzipSize = before.gzip;
+      sizes.optimizedGzipSize = after.gzip;
+      sizes.originalBrotliSize = before.brotli;
+      sizes.optimizedBrotliSize = after.brotli;
+    }
+    return sizes;
+  }
+  return data;
+}
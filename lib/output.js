@@ -0,0 +1,152 @@
+// Output path mapping and file writing shared by the CLI code paths. Inputs
+// are resolved to absolute paths by fast-glob; outputs mirror their location
+// relative to the input root (the directory argument, or the static prefix of
+// the glob) so that icons/outline/home.svg and icons/filled/home.svg never
+// overwrite each other.
+import fg from "fast-glob";
+import fs from "fs-extra";
+import path from "path";
+import crypto from "crypto";
+import { gzipSVG, brotliSVG, SIDECAR_EXTENSIONS } from "./compress.js";
+
+/**
+ * Static (non-glob) directory prefix of a pattern, e.g. `icons/{a,b}/*.svg` →
+ * `icons`. A fully static pattern (a single file path) yields its directory.
+ * @param {string} pattern - fast-glob pattern or plain file path
+ * @returns {string} absolute base directory
+ */
+export function globBase(pattern) {
+  const segments = pattern.replace(/\\/g, "/").split("/");
+  const staticSegments = [];
+  for (const segment of segments) {
+    // fast-glob rejects "" (the first segment of an absolute pattern)
+    if (segment && fg.isDynamicPattern(segment)) break;
+    staticSegments.push(segment);
+  }
+  let base = staticSegments.join("/");
+  // Every segment static: the pattern names a single file.
+  if (staticSegments.length === segments.length) base = path.dirname(base);
+  // A pattern starting with "/" leaves an empty first segment behind.
+  if (base === "" && pattern.startsWith("/")) base = "/";
+  return path.resolve(base || ".");
+}
+
+/**
+ * Output path for an input file.
+ * @param {string} file - absolute input path
+ * @param {{root:string, outDir:string, flat?:boolean}} layout
+ * @returns {string}
+ */
+export function mapOutputPath(file, { root, outDir, flat = false }) {
+  if (flat) return path.join(outDir, path.basename(file));
+  const rel = path.relative(root, file);
+  // Files outside the root (e.g. "../x.svg") fall back to their basename
+  // rather than escaping the output directory.
+  if (rel.startsWith("..") || path.isAbsolute(rel)) {
+    return path.join(outDir, path.basename(file));
+  }
+  return path.join(outDir, rel);
+}
+
+/**
+ * Group inputs that map to the same output path.
+ * @param {string[]} files - absolute input paths
+ * @param {{root:string, outDir:string, flat?:boolean}} layout
+ * @param {(file:string) => string} [mapPath] - output path for an input, when
+ *   outputs are renamed (e.g. components); defaults to mapOutputPath()
+ * @returns {Map<string, string[]>} output path → inputs, only for collisions
+ */
+export function findOutputCollisions(files, layout, mapPath = (file) => mapOutputPath(file, layout)) {
+  const byOut = new Map();
+  for (const file of files) {
+    const out = mapPath(file);
+    const list = byOut.get(out);
+    if (list) list.push(file);
+    else byOut.set(out, [file]);
+  }
+  for (const [out, list] of byOut) {
+    if (list.length < 2) byOut.delete(out);
+  }
+  return byOut;
+}
+
+/**
+ * Write `content` to `filePath` via a temp file in the same directory and a
+ * rename, so readers never observe a half-written file. The temp file takes
+ * over the mode of the file it replaces.
+ * @param {string} filePath
+ * @param {string|Buffer} content
+ */
+export async function writeFileAtomic(filePath, content) {
+  const dir = path.dirname(filePath);
+  const tmp = path.join(
+    dir,
+    `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`
+  );
+  try {
+    await fs.writeFile(tmp, content);
+    try {
+      const { mode } = await fs.stat(filePath);
+      await fs.chmod(tmp, mode);
+    } catch {
+      // Target doesn't exist yet; keep the default mode.
+    }
+    await fs.rename(tmp, filePath);
+  } catch (e) {
+    await fs.remove(tmp).catch(() => {});
+    throw e;
+  }
+}
+
+/**
+ * Write optimized SVG markup to disk. `.svgz` targets are gzip-compressed so
+ * the file matches its extension.
+ * @param {string} filePath
+ * @param {string} svg - optimized SVG markup
+ * @param {{atomic?:boolean}} [options]
+ */
+export async function writeSvgFile(filePath, svg, options = {}) {
+  const content = filePath.endsWith(".svgz") ? await gzipSVG(svg) : svg;
+  if (options.atomic) return writeFileAtomic(filePath, content);
+  return fs.writeFile(filePath, content);
+}
+
+/**
+ * Copy `file` to its backup location before it is overwritten in place:
+ * `<file><suffix>` next to it, or the same relative path under `backupDir`.
+ * An existing backup is never replaced: it holds the file from before the
+ * first in-place run, and later runs would only copy optimized output over it.
+ * @param {string} file - absolute input path
+ * @param {{root:string, backupDir?:string, suffix?:string}} options
+ * @returns {Promise<string|null>} backup path, or null if one already existed
+ */
+export async function backupFile(file, { root, backupDir, suffix = ".bak" }) {
+  const dest = backupDir
+    ? mapOutputPath(file, { root, outDir: backupDir })
+    : file + suffix;
+  if (await fs.pathExists(dest)) return null;
+  await fs.ensureDir(path.dirname(dest));
+  await fs.copy(file, dest, { overwrite: false, errorOnExist: false, preserveTimestamps: true });
+  return dest;
+}
+
+/**
+ * Emit precompressed sidecars (`logo.svg.gz`, `logo.svg.br`) next to an
+ * optimized SVG for static hosts that serve them directly. `.svgz` outputs
+ * are already gzip and get no sidecars.
+ * @param {string} filePath - path of the optimized SVG
+ * @param {string} svg - optimized SVG markup
+ * @param {Array<"gzip"|"brotli">} formats
+ * @returns {Promise<string[]>} sidecar paths written
+ */
+export async function writeSidecars(filePath, svg, formats) {
+  if (filePath.endsWith(".svgz")) return [];
+  const written = [];
+  for (const format of formats) {
+    const data = format === "gzip" ? await gzipSVG(svg) : await brotliSVG(svg);
+    const dest = filePath + SIDECAR_EXTENSIONS[format];
+    await fs.writeFile(dest, data);
+    written.push(dest);
+  }
+  return written;
+}
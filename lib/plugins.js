@@ -0,0 +1,225 @@
+// SVGO plugin configuration shared by the main library (lib/index.js) and the
+// worker threads (lib/worker.js). Both sides build their SVGO config through
+// buildSvgoConfig() so output is byte-identical whichever path runs. Keep
+// this module free of heavy imports (sharp, fs-extra): every worker loads it.
+import path from "path";
+import { pathToFileURL } from "url";
+
+// Safe, default SVGO plugins that optimize SVGs without removing critical info.
+const safePlugins = [
+  "cleanupAttrs",
+  "removeDoctype",
+  "removeXMLProcInst",
+  "removeComments",
+  "removeMetadata",
+  "removeTitle",
+  "removeDesc",
+  "removeUselessDefs",
+  "removeEditorsNSData",
+  "removeEmptyAttrs",
+  "removeHiddenElems",
+  "removeEmptyText",
+  "removeEmptyContainers",
+  "cleanupEnableBackground",
+  "convertStyleToAttrs",
+  "convertColors",
+  "convertPathData",
+  "convertTransform",
+  "removeUnknownsAndDefaults",
+  "removeNonInheritableGroupAttrs",
+  "removeUselessStrokeAndFill",
+  "mergePaths",
+  "removeDimensions",
+];
+
+// Additional plugins for aggressive optimization (may remove attributes like class or data-name).
+const aggressivePlugins = [
+  "sortAttrs",
+  {
+    name: "removeAttrs",
+    params: { attrs: "(class|data-name)" },
+  },
+];
+
+// Pre-built, frozen plugin configs for the common cases. The same object is
+// re-used across every optimize() call, avoiding per-file allocation of
+// identical plugin structures.
+function buildBase(aggressive) {
+  const all = aggressive ? [...safePlugins, ...aggressivePlugins] : safePlugins;
+  return Object.freeze(
+    all.map((p) => (typeof p === "string" ? Object.freeze({ name: p }) : p))
+  );
+}
+
+export const BASE_SAFE = buildBase(false);
+export const BASE_AGGRESSIVE = buildBase(true);
+
+// Cache final plugin configs keyed on the combination of toggles. Custom
+// plugins bypass the cache (they're reference-identity sensitive) but still
+// reuse the frozen base array.
+const configCache = new Map();
+
+/**
+ * Compose the SVGO plugin config. Returns a cached array when no custom
+ * plugins are supplied so repeated calls don't re-allocate.
+ */
+export function getPluginConfig(aggressive, customPlugins, preserveViewBox, removeDimensions) {
+  if (customPlugins && customPlugins.length > 0) {
+    return composePluginConfig(aggressive, customPlugins, preserveViewBox, removeDimensions);
+  }
+  const key = (aggressive ? 1 : 0) | (preserveViewBox ? 2 : 0) | (removeDimensions ? 4 : 0);
+  let cfg = configCache.get(key);
+  if (!cfg) {
+    cfg = composePluginConfig(aggressive, [], preserveViewBox, removeDimensions);
+    configCache.set(key, cfg);
+  }
+  return cfg;
+}
+
+function composePluginConfig(aggressive, customPlugins, preserveViewBox, removeDimensions) {
+  const base = aggressive ? BASE_AGGRESSIVE : BASE_SAFE;
+  let plugins;
+  if (removeDimensions) {
+    plugins = base.slice();
+  } else {
+    // Drop the removeDimensions entry; this is a one-time linear pass cached per key.
+    plugins = base.filter((p) => p.name !== "removeDimensions");
+  }
+  if (!preserveViewBox) {
+    // The curated lists above leave removeViewBox out, so this is the only
+    // place it gets enabled. (SVGO 3 has no `active: false`: an entry here
+    // always switches the plugin on.)
+    plugins.push(Object.freeze({ name: "removeViewBox" }));
+  }
+  if (customPlugins && customPlugins.length > 0) {
+    plugins.push(...customPlugins);
+  }
+  return plugins;
+}
+
+/**
+ * Full SVGO config for a set of optimizeSVG() options.
+ * @param {{aggressive?:boolean, multipass?:boolean, plugins?:Array,
+ *   preserveViewBox?:boolean, removeDimensions?:boolean}} options
+ * @returns {{multipass:boolean, plugins:Array}}
+ */
+export function buildSvgoConfig(options = {}) {
+  const {
+    aggressive = false,
+    multipass = true,
+    plugins = [],
+    preserveViewBox = true,
+    removeDimensions = true,
+  } = options;
+
+  if (plugins.some(isPluginModuleRef)) {
+    throw new Error(
+      "Custom plugins given by module path must be loaded first; use an async " +
+        "API (optimizeSVGFromFile, optimizeSVGBatch, ...) or resolvePluginModules()"
+    );
+  }
+
+  return {
+    multipass,
+    plugins: getPluginConfig(aggressive, plugins, preserveViewBox, removeDimensions),
+  };
+}
+
+// Custom plugins can be referenced by module instead of passed as objects,
+// which is the only way to get a plugin with a `fn` into a worker thread:
+//   { module: "./svgo/prefix-ids.js", export: "default", params: { ... } }
+// The module must export an SVGO plugin object ({ name, fn }).
+
+/**
+ * True for a `{ module }` plugin reference.
+ */
+export function isPluginModuleRef(plugin) {
+  return (
+    plugin !== null &&
+    typeof plugin === "object" &&
+    typeof plugin.module === "string" &&
+    typeof plugin.fn !== "function"
+  );
+}
+
+/**
+ * Make relative module paths in plugin references absolute against
+ * `baseDir`, so they still resolve when loaded from another thread or after
+ * a config file has been read from a different directory.
+ * @param {Array} plugins
+ * @param {string} [baseDir=process.cwd()]
+ * @returns {Array}
+ */
+export function normalizePluginRefs(plugins, baseDir = process.cwd()) {
+  if (!plugins || !plugins.some(isPluginModuleRef)) return plugins;
+  return plugins.map((p) =>
+    isPluginModuleRef(p) && isRelativeOrAbsolute(p.module)
+      ? { ...p, module: path.resolve(baseDir, p.module) }
+      : p
+  );
+}
+
+// Import promises keyed by resolved specifier; each module loads once per thread.
+const moduleCache = new Map();
+
+/**
+ * Load every `{ module }` reference in a plugin list, returning a list of
+ * plain SVGO plugins. Lists without references are returned as-is.
+ * Relative paths resolve against `baseDir`; bare specifiers are imported as
+ * packages.
+ * @param {Array} plugins
+ * @param {string} [baseDir=process.cwd()]
+ * @returns {Promise<Array>}
+ */
+export async function resolvePluginModules(plugins, baseDir = process.cwd()) {
+  if (!plugins || !plugins.some(isPluginModuleRef)) return plugins;
+  return Promise.all(
+    plugins.map(async (ref) => {
+      if (!isPluginModuleRef(ref)) return ref;
+      const specifier = isRelativeOrAbsolute(ref.module)
+        ? pathToFileURL(path.resolve(baseDir, ref.module)).href
+        : ref.module;
+      let loading = moduleCache.get(specifier);
+      if (!loading) {
+        loading = import(specifier);
+        moduleCache.set(specifier, loading);
+      }
+      let mod;
+      try {
+        mod = await loading;
+      } catch (e) {
+        moduleCache.delete(specifier);
+        throw new Error(`Failed to load plugin module ${ref.module}: ${e.message}`);
+      }
+      const plugin = mod[ref.export || "default"];
+      if (!plugin || typeof plugin !== "object" || typeof plugin.name !== "string") {
+        throw new Error(
+          `Plugin module ${ref.module} does not export an SVGO plugin ({ name, fn })` +
+            (ref.export ? ` as "${ref.export}"` : "")
+        );
+      }
+      return ref.params ? { ...plugin, params: ref.params } : plugin;
+    })
+  );
+}
+
+/**
+ * Throw if a plugin list can't be posted to a worker thread (functions don't
+ * survive structured cloning).
+ * @param {Array} plugins
+ */
+export function assertTransferablePlugins(plugins) {
+  for (const p of plugins || []) {
+    if (typeof p === "function" || (p && typeof p === "object" && typeof p.fn === "function")) {
+      const name = (p && p.name) || "(anonymous)";
+      throw new Error(
+        `Custom plugin "${name}" contains functions and can't be sent to a worker thread; ` +
+          `reference it by module path instead: { module: "./path/to/plugin.js" }`
+      );
+    }
+  }
+}
+
+function isRelativeOrAbsolute(specifier) {
+  return specifier.startsWith(".") || path.isAbsolute(specifier);
+}
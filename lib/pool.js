@@ -1,96 +1,489 @@
 // A small round-robin worker pool that dispatches SVG optimization tasks to
 // dedicated worker_threads. Each task returns a Promise resolved with the
-// optimized string. The pool is created lazily via optimizeSVGBatch() and is
-// torn down when the batch is done.
+// optimized string. optimizeSVGBatch() creates a pool per call and tears it
+// down when the batch is done; long-running services keep one WorkerPool
+// around instead (lazy start, idle reaping, per-worker task limits, close()).
+// Workers that crash, hang past the task timeout, or run an aborted task are
+// killed and replaced, so one pathological SVG can't wedge the rest of the
+// queue.
 import { Worker } from "worker_threads";
 import path from "path";
 import os from "os";
 import { fileURLToPath } from "url";
+import { applyConfigOptions } from "./config.js";
+import { normalizePluginRefs, assertTransferablePlugins } from "./plugins.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const WORKER_PATH = path.join(__dirname, "worker.js");
+// Workers that die before reporting ready this many times in a row are
+// treated as unable to start: queued tasks are rejected instead of retried.
+const MAX_START_FAILURES = 3;
+
+// Options cross a thread boundary, so everything that only works in this
+// thread is settled here: project configs are applied, relative plugin
+// module paths are made absolute, and function-valued plugins are rejected.
+function prepareTaskOptions(options) {
+  const prepared = applyConfigOptions(options || {});
+  if (!prepared.plugins) return prepared;
+  assertTransferablePlugins(prepared.plugins);
+  return { ...prepared, plugins: normalizePluginRefs(prepared.plugins) };
+}
 
 class WorkerPool {
-  constructor(size, defaults = {}) {
+  /**
+   * @param {number} size - maximum number of worker threads
+   * @param {object} [defaults] - optimization options merged under every task's
+   * @param {object} [poolOptions]
+   * @param {number} [poolOptions.taskTimeout] - ms before a running task is
+   *   failed and its worker killed and replaced; 0 disables it
+   * @param {boolean} [poolOptions.lazy=false] - start workers on first use
+   *   instead of in the constructor (see warmup())
+   * @param {number} [poolOptions.idleTimeout] - ms after which an idle worker
+   *   is shut down; 0 keeps workers forever
+   * @param {number} [poolOptions.minWorkers=0] - idle reaping never goes below this
+   * @param {number} [poolOptions.maxTasksPerWorker] - replace a worker after it
+   *   has run this many tasks (bounds memory growth); 0 means no limit
+   */
+  constructor(size, defaults = {}, poolOptions = {}) {
+    this.defaults = prepareTaskOptions(defaults);
     this.size = Math.max(1, size | 0);
+    this.taskTimeout = poolOptions.taskTimeout > 0 ? poolOptions.taskTimeout : 0;
+    this.idleTimeout = poolOptions.idleTimeout > 0 ? poolOptions.idleTimeout : 0;
+    this.minWorkers = Math.min(this.size, Math.max(0, poolOptions.minWorkers | 0));
+    this.maxTasksPerWorker =
+      poolOptions.maxTasksPerWorker > 0 ? poolOptions.maxTasksPerWorker : 0;
     this.workers = [];
     this.free = [];
     this.queue = [];
     this.nextId = 1;
     this.pending = new Map();
-    for (let i = 0; i < this.size; i++) {
-      const w = new Worker(WORKER_PATH, { workerData: { defaults } });
-      w.on("message", (msg) => this._onMessage(w, msg));
-      w.on("error", (err) => this._onError(w, err));
-      this.workers.push(w);
-      this.free.push(w);
+    // One abort listener per caller signal, shared by every task using it.
+    this.signals = new Map();
+    this.startFailures = 0;
+    this.terminated = false;
+    this.lazy = Boolean(poolOptions.lazy);
+    this.closing = null;
+    this.counters = {
+      completed: 0,
+      failed: 0,
+      restarts: 0,
+      timeouts: 0,
+      aborted: 0,
+      recycled: 0,
+      reaped: 0,
+    };
+    if (!poolOptions.lazy) this.warmup();
+  }
+
+  /**
+   * Start workers up to the pool size ahead of the first task, so a service
+   * can pay the thread start-up cost before traffic arrives.
+   * @returns {Promise<void>} resolves once every worker is online
+   */
+  warmup() {
+    const started = [];
+    while (!this.terminated && this.workers.length < this.size) {
+      const w = this._spawn();
+      started.push(new Promise((resolve) => w.once("online", resolve)));
+    }
+    return Promise.all(started).then(() => {});
+  }
+
+  _spawn() {
+    const w = new Worker(WORKER_PATH, { workerData: { defaults: this.defaults } });
+    w.tasks = 0;
+    w.on("message", (msg) => this._onMessage(w, msg));
+    w.on("error", (err) => this._onError(w, err));
+    w.on("exit", (code) => this._onExit(w, code));
+    this.workers.push(w);
+    this._release(w);
+    return w;
+  }
+
+  // Return a worker to the free list, arming its idle timer.
+  _release(w) {
+    this.free.push(w);
+    if (this.idleTimeout) {
+      w.idleTimer = setTimeout(() => this._reap(w), this.idleTimeout);
     }
   }
 
+  _reap(w) {
+    if (w.retired || this.workers.length <= this.minWorkers) return;
+    this.counters.reaped++;
+    this._remove(w);
+  }
+
+  // Take a worker out of the pool without treating it as a failure.
+  _remove(w) {
+    w.retired = true;
+    clearTimeout(w.idleTimer);
+    this.workers = this.workers.filter((x) => x !== w);
+    this.free = this.free.filter((x) => x !== w);
+    w.terminate().catch(() => {});
+  }
+
   _onMessage(w, msg) {
+    if (msg.ready) {
+      w.ready = true;
+      this.startFailures = 0;
+      return;
+    }
     const entry = this.pending.get(msg.id);
     if (!entry) return;
-    this.pending.delete(msg.id);
-    if (msg.ok) entry.resolve(msg.data);
-    else entry.reject(new Error(msg.error));
-    this.free.push(w);
+    this._settle(msg.id, entry);
+    if (msg.ok) {
+      this.counters.completed++;
+      entry.resolve(msg.data);
+    } else {
+      this.counters.failed++;
+      entry.reject(new Error(msg.error));
+    }
+    if (this.maxTasksPerWorker && w.tasks >= this.maxTasksPerWorker) {
+      // Recycle; _drain() starts a replacement if there's queued work.
+      this.counters.recycled++;
+      this._remove(w);
+    } else {
+      this._release(w);
+    }
     this._drain();
   }
 
   _onError(w, err) {
-    // Reject every pending task handled by this worker; in practice SVGO
-    // errors are reported via message, so hitting this means the worker died.
+    // SVGO errors are reported via message, so hitting this means the worker
+    // died. Fail its task and put a fresh worker in its place.
+    this._retire(w, err);
+  }
+
+  _onExit(w, code) {
+    // Exits we caused (timeouts, aborts, terminate()) were already handled.
+    if (w.retired) return;
+    this._retire(w, new Error(`Worker exited unexpectedly with code ${code}`));
+  }
+
+  // Remove a dead or stuck worker, reject whatever it was running (counted
+  // under `counter`), and replace it so queued work keeps flowing.
+  _retire(w, err, counter = "failed") {
+    if (w.retired) return;
+    this._remove(w);
     for (const [id, entry] of this.pending) {
       if (entry.worker === w) {
-        this.pending.delete(id);
+        this._settle(id, entry);
+        this.counters[counter]++;
         entry.reject(err);
       }
     }
+    if (this.terminated) return;
+    if (!w.ready && ++this.startFailures >= MAX_START_FAILURES) {
+      // Respawning would only crash again; fail the queue instead of looping.
+      const reason = new Error(
+        `Worker failed to start ${this.startFailures} times in a row: ${err.message}`
+      );
+      for (const job of this.queue.splice(0)) {
+        this._unwatch(job);
+        this.counters.failed++;
+        job.reject(reason);
+      }
+      this._checkDrained();
+      return;
+    }
+    this.counters.restarts++;
+    // Eager pools keep their full complement; lazy ones refill on demand.
+    if (!this.lazy) this._spawn();
+    this._drain();
+  }
+
+  // Clear the bookkeeping of a dispatched task (timer, abort listener).
+  _settle(id, entry) {
+    this.pending.delete(id);
+    if (entry.timer) clearTimeout(entry.timer);
+    this._unwatch(entry);
+  }
+
+  // Track a task under its signal, adding the signal's listener on first use.
+  _watch(job) {
+    let jobs = this.signals.get(job.signal);
+    if (!jobs) {
+      jobs = new Set();
+      jobs.onAbort = () => this._abort(job.signal);
+      job.signal.addEventListener("abort", jobs.onAbort, { once: true });
+      this.signals.set(job.signal, jobs);
+    }
+    jobs.add(job);
+  }
+
+  _unwatch(job) {
+    const jobs = job.signal && this.signals.get(job.signal);
+    if (!jobs || !jobs.delete(job) || jobs.size) return;
+    job.signal.removeEventListener("abort", jobs.onAbort);
+    this.signals.delete(job.signal);
+  }
+
+  // Cancel every task using `signal`: queued ones are dropped, running ones
+  // have their worker killed and replaced.
+  _abort(signal) {
+    const jobs = this.signals.get(signal);
+    if (!jobs) return;
+    for (const job of [...jobs]) {
+      // Retiring a worker may already have settled this one.
+      if (!jobs.has(job)) continue;
+      if (job.worker) {
+        this._retire(job.worker, signal.reason, "aborted");
+      } else {
+        this.queue.splice(this.queue.indexOf(job), 1);
+        this._unwatch(job);
+        this.counters.aborted++;
+        job.reject(signal.reason);
+      }
+    }
+    this._checkDrained();
   }
 
   _drain() {
-    while (this.free.length && this.queue.length) {
-      const w = this.free.shift();
+    while (this.queue.length) {
+      if (!this.free.length) {
+        // Grow on demand (lazy pools, reaped or recycled workers).
+        if (this.terminated || this.workers.length >= this.size) break;
+        this._spawn();
+      }
       const job = this.queue.shift();
+      if (job.signal?.aborted) {
+        // Aborted while its signal's listener was replacing a worker.
+        this._unwatch(job);
+        this.counters.aborted++;
+        job.reject(job.signal.reason);
+        continue;
+      }
+      const w = this.free.shift();
+      clearTimeout(w.idleTimer);
+      w.tasks++;
       const id = this.nextId++;
-      this.pending.set(id, { ...job, worker: w });
+      job.worker = w;
+      const timeout = job.timeout ?? this.taskTimeout;
+      if (timeout > 0) {
+        job.timer = setTimeout(() => {
+          this.counters.timeouts++;
+          const err = new Error(`SVG optimization timed out after ${timeout}ms`);
+          err.code = "ETIMEDOUT";
+          // SVGO runs synchronously, so the only way to stop it is to kill
+          // the thread.
+          this._retire(w, err);
+        }, timeout);
+      }
+      this.pending.set(id, job);
       w.postMessage({ id, content: job.content, options: job.options });
     }
+    this._checkDrained();
+  }
+
+  // Resolve a pending close() once nothing is queued or running.
+  _checkDrained() {
+    if (this.closing && !this.queue.length && !this.pending.size) {
+      this.closing.resolve();
+    }
   }
 
-  run(content, options) {
+  /**
+   * Queue one SVG string for optimization.
+   * @param {string} content - SVG markup
+   * @param {object} [options] - optimization options for this task
+   * @param {{signal?:AbortSignal, timeout?:number}} [runOptions] - `signal`
+   *   cancels the task whether queued or running; `timeout` (ms) overrides
+   *   the pool's `taskTimeout`
+   * @returns {Promise<string>} optimized SVG
+   */
+  run(content, options, runOptions = {}) {
     return new Promise((resolve, reject) => {
-      this.queue.push({ content, options, resolve, reject });
+      if (this.terminated || this.closing) {
+        reject(new Error(`WorkerPool has been ${this.terminated ? "terminated" : "closed"}`));
+        return;
+      }
+      const { signal, timeout } = runOptions;
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      try {
+        options = prepareTaskOptions(options);
+      } catch (e) {
+        reject(e);
+        return;
+      }
+      const job = { content, options, resolve, reject, signal, timeout };
+      if (signal) this._watch(job);
+      this.queue.push(job);
       this._drain();
     });
   }
 
+  /**
+   * Snapshot of pool activity for monitoring.
+   * @returns {{size:number, workers:number, idle:number, queued:number,
+   *   inFlight:number, completed:number, failed:number, restarts:number,
+   *   timeouts:number, aborted:number, recycled:number, reaped:number}}
+   */
+  stats() {
+    return {
+      size: this.size,
+      workers: this.workers.length,
+      idle: this.free.length,
+      queued: this.queue.length,
+      inFlight: this.pending.size,
+      ...this.counters,
+    };
+  }
+
+  /**
+   * Stop accepting tasks, let queued and in-flight ones finish, then shut
+   * every worker down. Safe to call more than once.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this.closing) {
+      let resolve;
+      const drained = new Promise((r) => (resolve = r));
+      this.closing = { resolve, done: drained.then(() => this.terminate()) };
+      this._checkDrained();
+    }
+    return this.closing.done;
+  }
+
+  /**
+   * Shut down immediately, rejecting queued and in-flight tasks.
+   * @returns {Promise<void>}
+   */
   async terminate() {
-    await Promise.all(this.workers.map((w) => w.terminate()));
+    this.terminated = true;
+    const err = new Error("WorkerPool has been terminated");
+    for (const job of this.queue.splice(0)) {
+      this._unwatch(job);
+      job.reject(err);
+    }
+    for (const [id, entry] of this.pending) {
+      this._settle(id, entry);
+      entry.reject(err);
+    }
+    const workers = this.workers.splice(0);
+    this.free = [];
+    for (const w of workers) {
+      w.retired = true;
+      clearTimeout(w.idleTimer);
+    }
+    await Promise.all(workers.map((w) => w.terminate()));
   }
 }
 
 /**
  * Optimize many SVG strings in parallel using worker_threads.
  *
+ * Pass an existing `pool` to reuse its warm workers; it is left running.
+ * Otherwise a pool is created for this call and terminated afterwards.
+ *
  * @param {Array<{content:string, options?:object}>|Array<string>} items
- * @param {{concurrency?:number, defaults?:object}} poolOptions
+ * @param {{concurrency?:number, defaults?:object, taskTimeout?:number, signal?:AbortSignal, pool?:WorkerPool}} poolOptions
  * @returns {Promise<string[]>} optimized SVG strings, in the same order as input
  */
 export async function optimizeSVGBatch(items, poolOptions = {}) {
-  const size = poolOptions.concurrency || os.cpus().length;
-  const pool = new WorkerPool(size, poolOptions.defaults || {});
+  const owned = !poolOptions.pool;
+  const pool =
+    poolOptions.pool ||
+    new WorkerPool(poolOptions.concurrency || os.cpus().length, poolOptions.defaults || {}, {
+      taskTimeout: poolOptions.taskTimeout,
+    });
+  // With a shared pool, `defaults` still apply per call.
+  const callDefaults = owned ? {} : poolOptions.defaults || {};
+  const runOptions = { signal: poolOptions.signal };
   try {
     return await Promise.all(
       items.map((it) => {
         const content = typeof it === "string" ? it : it.content;
         const options = typeof it === "string" ? {} : it.options || {};
-        return pool.run(content, options);
+        return pool.run(content, { ...callDefaults, ...options }, runOptions);
       })
     );
   } finally {
-    await pool.terminate();
+    if (owned) await pool.terminate();
+  }
+}
+
+/**
+ * Optimize many SVGs on a worker pool and yield each result as soon as it
+ * completes (completion order, not input order). A failing item yields
+ * `ok: false` instead of aborting the batch.
+ *
+ * `items` may be any iterable or async iterable, and is only pulled from
+ * while fewer than `highWaterMark` items are in flight, so huge corpora never
+ * sit in memory at once. An item's `content` may be a function returning the
+ * markup (or a Promise of it); it is called when the item enters the window,
+ * and a thrown/rejected load is reported as that item's error.
+ *
+ * @param {Iterable|AsyncIterable<string|{content:string|Function, options?:object}>} items
+ * @param {{concurrency?:number, defaults?:object, taskTimeout?:number, signal?:AbortSignal,
+ *   pool?:WorkerPool, highWaterMark?:number}} poolOptions - as for optimizeSVGBatch();
+ *   `highWaterMark` defaults to twice the pool size
+ * @returns {AsyncGenerator<{index:number, ok:boolean, data?:string, error?:Error,
+ *   originalSize?:number, optimizedSize?:number}>}
+ */
+export async function* optimizeSVGBatchStream(items, poolOptions = {}) {
+  const owned = !poolOptions.pool;
+  const pool =
+    poolOptions.pool ||
+    new WorkerPool(poolOptions.concurrency || os.cpus().length, poolOptions.defaults || {}, {
+      taskTimeout: poolOptions.taskTimeout,
+    });
+  const callDefaults = owned ? {} : poolOptions.defaults || {};
+  const runOptions = { signal: poolOptions.signal };
+  const highWaterMark = Math.max(1, poolOptions.highWaterMark || pool.size * 2);
+
+  const source = items[Symbol.asyncIterator]
+    ? items[Symbol.asyncIterator]()
+    : items[Symbol.iterator]();
+  const inflight = new Map();
+  let nextIndex = 0;
+  let exhausted = false;
+
+  const runItem = async (item, index) => {
+    let originalSize;
+    try {
+      let content = typeof item === "string" ? item : item.content;
+      if (typeof content === "function") content = await content();
+      const options = typeof item === "string" ? {} : item.options || {};
+      originalSize = Buffer.byteLength(content, "utf-8");
+      const data = await pool.run(content, { ...callDefaults, ...options }, runOptions);
+      return {
+        index,
+        ok: true,
+        data,
+        originalSize,
+        optimizedSize: Buffer.byteLength(data, "utf-8"),
+      };
+    } catch (error) {
+      return { index, ok: false, error, originalSize };
+    }
+  };
+
+  try {
+    for (;;) {
+      while (!exhausted && inflight.size < highWaterMark) {
+        const next = await source.next();
+        if (next.done) {
+          exhausted = true;
+          break;
+        }
+        const index = nextIndex++;
+        inflight.set(index, runItem(next.value, index));
+      }
+      if (inflight.size === 0) return;
+      const result = await Promise.race(inflight.values());
+      inflight.delete(result.index);
+      yield result;
+    }
+  } finally {
+    // Consumer stopped early: release the source. Tasks still running on a
+    // shared pool finish in the background and are discarded.
+    if (!exhausted && source.return) await source.return();
+    if (owned) await pool.terminate();
   }
 }
 
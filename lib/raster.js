@@ -0,0 +1,215 @@
+// Raster export (PNG, WebP, AVIF) through sharp, at one or more sizes.
+//
+// Sizes can be given three ways:
+//   32        a 32×32 box           → icon-32.png
+//   "32x16"   a 32×16 box           → icon-32x16.png
+//   "2x"      2× the intrinsic size → icon@2x.png ("1x" → icon.png)
+// The artwork keeps the aspect ratio of its viewBox: boxes are filled
+// according to `fit`, and scales follow the intrinsic size exactly.
+import path from "path";
+import fs from "fs-extra";
+import sharp from "sharp";
+
+export const RASTER_FORMATS = Object.freeze(["png", "webp", "avif"]);
+export const RASTER_FITS = Object.freeze(["contain", "cover", "inside"]);
+
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 };
+
+/**
+ * Parse one size spec (see the comment at the top of this file).
+ * @param {number|string|{width:number, height?:number}|{scale:number}} spec
+ * @returns {{scale:number}|{width:number, height:number}}
+ */
+export function parseRasterSize(spec) {
+  if (typeof spec === "object" && spec !== null && spec.scale > 0) return { scale: spec.scale };
+  if (typeof spec === "object" && spec !== null && spec.width > 0) {
+    return { width: spec.width, height: spec.height > 0 ? spec.height : spec.width };
+  }
+  const text = String(spec).trim().toLowerCase();
+  let match;
+  if ((match = /^(\d+(?:\.\d+)?)x$/.exec(text)) && Number(match[1]) > 0) {
+    return { scale: Number(match[1]) };
+  }
+  if ((match = /^(\d+)(?:x(\d+))?$/.exec(text)) && Number(match[1]) > 0) {
+    const width = Number(match[1]);
+    const height = match[2] ? Number(match[2]) : width;
+    if (height > 0) return { width, height };
+  }
+  throw new Error(`Invalid raster size "${spec}" (expected e.g. 32, "32x16" or "2x")`);
+}
+
+/**
+ * Normalize raster export options.
+ * @param {object} [options]
+ * @param {Array<number|string>|number|string} [options.sizes=["1x"]] - comma-separated string or list
+ * @param {string[]|string} [options.formats=["png"]] - png, webp and/or avif
+ * @param {"contain"|"cover"|"inside"} [options.fit="contain"]
+ * @param {string} [options.background="transparent"] - CSS color for padding and transparent areas
+ * @param {number} [options.quality] - WebP/AVIF quality (1-100)
+ * @returns {{sizes:Array<object>, formats:string[], fit:string, background:string, quality?:number}}
+ */
+export function normalizeRasterOptions(options = {}) {
+  const list = (value, fallback) =>
+    value === undefined || value === true
+      ? fallback
+      : (Array.isArray(value) ? value : String(value).split(","))
+          .map((v) => (typeof v === "string" ? v.trim() : v))
+          .filter((v) => v !== "");
+  const sizes = list(options.sizes, ["1x"]).map(parseRasterSize);
+  const formats = list(options.formats, ["png"]).map((f) => String(f).toLowerCase());
+  for (const format of formats) {
+    if (!RASTER_FORMATS.includes(format)) {
+      throw new Error(`Unknown raster format "${format}" (expected ${RASTER_FORMATS.join(", ")})`);
+    }
+  }
+  const fit = options.fit || "contain";
+  if (!RASTER_FITS.includes(fit)) {
+    throw new Error(`Unknown fit "${fit}" (expected ${RASTER_FITS.join(", ")})`);
+  }
+  return {
+    sizes,
+    formats,
+    fit,
+    background: options.background || "transparent",
+    quality: options.quality,
+  };
+}
+
+const sizeLabel = (size) =>
+  size.scale !== undefined
+    ? size.scale === 1
+      ? ""
+      : `@${size.scale}x`
+    : size.width === size.height
+      ? `-${size.width}`
+      : `-${size.width}x${size.height}`;
+
+/**
+ * Output paths for a set of raster options, without rendering anything.
+ * @param {string} basePath - output path without extension
+ * @param {object} options - raster options (normalized or not)
+ * @returns {Array<{file:string, format:string, size:object}>}
+ */
+export function rasterTargets(basePath, options) {
+  const { sizes, formats } = normalizeRasterOptions(options);
+  const targets = [];
+  for (const size of sizes) {
+    for (const format of formats) {
+      targets.push({ file: `${basePath}${sizeLabel(size)}.${format}`, format, size });
+    }
+  }
+  return targets;
+}
+
+/**
+ * Intrinsic size of SVG markup as librsvg lays it out: width/height when
+ * given, with a missing dimension (or both) derived from the viewBox, so the
+ * viewBox aspect ratio is preserved.
+ * @param {string} svg
+ * @returns {Promise<{width:number, height:number}>}
+ */
+export async function svgIntrinsicSize(svg) {
+  const { width, height } = await sharp(Buffer.from(svg)).metadata();
+  if (!width || !height) throw new Error("Cannot determine the SVG's size for raster export");
+  return { width, height };
+}
+
+/**
+ * Render SVG markup into one raster image.
+ * @param {string} svg
+ * @param {object} options
+ * @param {number} options.width - output width in pixels
+ * @param {number} options.height - output height in pixels
+ * @param {"png"|"webp"|"avif"} [options.format="png"]
+ * @param {"contain"|"cover"|"inside"|"fill"} [options.fit="contain"]
+ * @param {string} [options.background="transparent"] - CSS color for padding and transparent areas
+ * @param {number} [options.padding=0] - fraction of each edge left empty
+ *   around the artwork (e.g. 0.1 for a maskable icon's safe zone)
+ * @param {number} [options.quality]
+ * @param {number} [options.density] - forced render density
+ * @param {{width:number, height:number}} [options.intrinsic] - result of
+ *   svgIntrinsicSize(), to skip measuring again
+ * @returns {Promise<{data:Buffer, info:object}>}
+ */
+export async function renderRaster(svg, options) {
+  const { format = "png", fit = "contain", background = "transparent", padding = 0 } = options;
+  const intrinsic = options.intrinsic || (await svgIntrinsicSize(svg));
+  const padX = Math.round(options.width * padding);
+  const padY = Math.round(options.height * padding);
+  const inner = {
+    width: Math.max(1, options.width - 2 * padX),
+    height: Math.max(1, options.height - 2 * padY),
+  };
+  // Rasterize at (at least) the target resolution instead of upscaling a
+  // small bitmap, capped so huge targets don't blow up memory
+  const needed = Math.max(inner.width / intrinsic.width, inner.height / intrinsic.height);
+  const density = options.density || Math.min(2400, Math.max(1, 72 * needed));
+  const transparent = background === "transparent";
+  const color = transparent ? TRANSPARENT : background;
+
+  let image = sharp(Buffer.from(svg), { density }).resize(inner.width, inner.height, {
+    fit,
+    background: color,
+  });
+  if (padX || padY) {
+    // extend() needs its own pipeline step after the resize
+    const { data, info } = await image.png().toBuffer({ resolveWithObject: true });
+    const top = Math.floor((options.height - info.height) / 2);
+    const left = Math.floor((options.width - info.width) / 2);
+    image = sharp(data).extend({
+      top,
+      bottom: options.height - info.height - top,
+      left,
+      right: options.width - info.width - left,
+      background: color,
+    });
+  }
+  if (!transparent) image = image.flatten({ background: color });
+  const encoderOptions = options.quality ? { quality: options.quality } : {};
+  if (format === "webp") image = image.webp(encoderOptions);
+  else if (format === "avif") image = image.avif(encoderOptions);
+  else image = image.png(encoderOptions);
+  return image.toBuffer({ resolveWithObject: true });
+}
+
+// Render `svg` into one image of the requested size.
+function renderOne(svg, intrinsic, size, format, options) {
+  const scale = size.scale;
+  const box =
+    scale !== undefined
+      ? {
+          width: Math.max(1, Math.round(intrinsic.width * scale)),
+          height: Math.max(1, Math.round(intrinsic.height * scale)),
+        }
+      : size;
+  return renderRaster(svg, {
+    ...options,
+    ...box,
+    format,
+    intrinsic,
+    // "fill" only for scales: the box already has the intrinsic aspect ratio
+    fit: scale !== undefined ? "fill" : options.fit,
+  });
+}
+
+/**
+ * Export SVG markup as raster images at every requested size and format.
+ * @param {string} svg - SVG markup
+ * @param {string} basePath - output path without extension; size suffixes
+ *   and the format extension are appended (see rasterTargets)
+ * @param {object} [options] - see normalizeRasterOptions; `density` forces a
+ *   render density instead of deriving it from the target size
+ * @returns {Promise<Array<{file:string, format:string, width:number, height:number}>>}
+ */
+export async function exportRaster(svg, basePath, options = {}) {
+  const normalized = { ...normalizeRasterOptions(options), density: options.density };
+  const intrinsic = await svgIntrinsicSize(svg);
+  const written = [];
+  await fs.ensureDir(path.dirname(basePath));
+  for (const { file, format, size } of rasterTargets(basePath, normalized)) {
+    const { data, info } = await renderOne(svg, intrinsic, size, format, normalized);
+    await fs.writeFile(file, data);
+    written.push({ file, format, width: info.width, height: info.height });
+  }
+  return written;
+}
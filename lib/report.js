@@ -0,0 +1,346 @@
+// Machine-readable batch reports for the CLI (--report): JSON for scripts,
+// JUnit XML for CI test dashboards and a Markdown table for PR comments.
+//
+// Every format is rendered from the same report object built by
+// buildReport(), so they always agree on what happened.
+import path from "path";
+
+export const REPORT_FORMATS = Object.freeze(["json", "junit", "markdown"]);
+
+const FORMAT_ALIASES = { md: "markdown", xml: "junit" };
+
+/**
+ * Validate a --report value.
+ * @param {string} format - json, junit or markdown (md and xml are accepted too)
+ * @returns {"json"|"junit"|"markdown"}
+ */
+export function parseReportFormat(format) {
+  const name = String(format).trim().toLowerCase();
+  const resolved = FORMAT_ALIASES[name] || name;
+  if (!REPORT_FORMATS.includes(resolved)) {
+    throw new Error(
+      `Unknown report format "${format}" (expected ${REPORT_FORMATS.join(", ")})`
+    );
+  }
+  return resolved;
+}
+
+const reduction = (before, after) =>
+  before > 0 ? Number((((before - after) / before) * 100).toFixed(2)) : 0;
+
+const countLint = (files, severity) =>
+  files.reduce((sum, f) => sum + (f.lint || []).filter((d) => d.severity === severity).length, 0);
+
+/**
+ * Turn per-file CLI outcomes into a report with batch totals. Paths are made
+ * relative to `cwd` so reports read the same on every machine.
+ * @param {Array<object>} outcomes - `{ file, success, output?, originalSize?,
+ *   optimizedSize?, valid?, warnings?, error?, durationMs?, cached?, changed?, ... }`
+ *   (`changed` is set by --check: whether optimizing the file would change it;
+ *   `visual` by --visual-check: `{ score, threshold, fallback, diffImages }`;
+ *   `mode` is the result used: aggressive, safe or original; `adaptiveProblems`
+ *   is set by --adaptive and lists why aggressive mode was rejected; `lint`
+ *   by --lint: lintSVG() diagnostics, with `fixed` counting applied fixes)
+ * @param {{cwd?:string, durationMs?:number, startedAt?:Date,
+ *   budgetViolations?:Array<object>}} [options] - `budgetViolations` as
+ *   returned by checkBudgets()
+ * @returns {{tool:string, startedAt:string|null, durationMs:number|null,
+ *   totals:object, budgetViolations:Array<object>, files:Array<object>}}
+ */
+export function buildReport(outcomes, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const rel = (p) => (p ? path.relative(cwd, p).split(path.sep).join("/") || "." : null);
+
+  const files = outcomes.map((o) => {
+    const entry = {
+      file: rel(o.file),
+      output: rel(o.output),
+      success: o.success,
+      cached: Boolean(o.cached),
+      changed: o.changed ?? null,
+      keptOriginal: Boolean(o.keptOriginal),
+      mode: o.mode ?? null,
+      adaptiveProblems: o.adaptiveProblems ?? null,
+      valid: o.valid ?? null,
+      originalSize: o.originalSize ?? null,
+      optimizedSize: o.optimizedSize ?? null,
+      savedBytes: null,
+      reduction: null,
+      warnings: o.warnings || [],
+      budgetViolations: o.budgetViolations || [],
+      visual: o.visual
+        ? { ...o.visual, diffImages: (o.visual.diffImages || []).map(rel) }
+        : null,
+      lint: o.lint
+        ? o.lint.map(({ fix, ...diagnostic }) => ({ ...diagnostic, fixable: Boolean(fix) }))
+        : null,
+      fixed: o.fixed ?? null,
+      error: o.error ? o.error.message : null,
+      durationMs: o.durationMs !== undefined ? Number(o.durationMs.toFixed(2)) : null,
+    };
+    if (entry.originalSize !== null && entry.optimizedSize !== null) {
+      entry.savedBytes = entry.originalSize - entry.optimizedSize;
+      entry.reduction = reduction(entry.originalSize, entry.optimizedSize);
+    }
+    for (const kind of ["Gzip", "Brotli"]) {
+      if (o[`original${kind}Size`] === undefined) continue;
+      entry[`original${kind}Size`] = o[`original${kind}Size`];
+      entry[`optimized${kind}Size`] = o[`optimized${kind}Size`];
+    }
+    return entry;
+  });
+
+  const budgetViolations = (options.budgetViolations || []).map((v) => ({
+    ...v,
+    file: v.file ? rel(v.file) : null,
+  }));
+
+  const measured = files.filter((f) => f.savedBytes !== null);
+  const originalSize = measured.reduce((sum, f) => sum + f.originalSize, 0);
+  const optimizedSize = measured.reduce((sum, f) => sum + f.optimizedSize, 0);
+  const totals = {
+    files: files.length,
+    succeeded: files.filter((f) => f.success).length,
+    failed: files.filter((f) => !f.success).length,
+    invalid: files.filter((f) => f.valid === false).length,
+    warnings: files.reduce((sum, f) => sum + f.warnings.length, 0),
+    cached: files.filter((f) => f.cached).length,
+    changed: files.filter((f) => f.changed).length,
+    budgetViolations: budgetViolations.length,
+    visualFallbacks: files.filter((f) => f.visual?.fallback).length,
+    lintErrors: countLint(files, "error"),
+    lintWarnings: countLint(files, "warning"),
+    fixed: files.reduce((sum, f) => sum + (f.fixed || 0), 0),
+    modes: {
+      aggressive: files.filter((f) => f.mode === "aggressive").length,
+      safe: files.filter((f) => f.mode === "safe").length,
+      original: files.filter((f) => f.mode === "original").length,
+    },
+    originalSize,
+    optimizedSize,
+    savedBytes: originalSize - optimizedSize,
+    reduction: reduction(originalSize, optimizedSize),
+  };
+
+  return {
+    tool: "svg-power-opt",
+    startedAt: options.startedAt ? options.startedAt.toISOString() : null,
+    durationMs: options.durationMs !== undefined ? Number(options.durationMs.toFixed(2)) : null,
+    totals,
+    budgetViolations,
+    files,
+  };
+}
+
+/**
+ * @param {object} report - result of buildReport()
+ * @returns {string}
+ */
+export function formatJSONReport(report) {
+  return `${JSON.stringify(report, null, 2)}\n`;
+}
+
+const escapeXml = (s) =>
+  String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    // Control characters other than tab/newline are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+
+const seconds = (ms) => ((ms || 0) / 1000).toFixed(3);
+const lintErrors = (f) => (f.lint || []).filter((d) => d.severity === "error");
+const lintLine = (d) => `${d.line}:${d.column} ${d.severity} ${d.message}${d.ruleId ? ` (${d.ruleId})` : ""}`;
+
+/**
+ * One testcase per file: failures (and, under --check, files that are not
+ * optimized yet, under --lint files with lint errors) become <failure>,
+ * validation problems and warnings are attached as <system-err>, sizes as
+ * <system-out>.
+ * @param {object} report - result of buildReport()
+ * @returns {string}
+ */
+export function formatJUnitReport(report) {
+  const { totals } = report;
+  // Set-wide budgets (maxTotalSize) get a testcase of their own
+  const setViolations = report.budgetViolations.filter((v) => !v.file);
+  const tests = totals.files + setViolations.length;
+  const failures =
+    report.files.filter(
+      (f) => !f.success || f.changed || f.budgetViolations.length || lintErrors(f).length
+    ).length +
+    setViolations.length;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="svg-power-opt" tests="${tests}" failures="${failures}" time="${seconds(report.durationMs)}">`,
+    `  <testsuite name="svg-power-opt" tests="${tests}" failures="${failures}" errors="0" skipped="0" time="${seconds(report.durationMs)}"${
+      report.startedAt ? ` timestamp="${report.startedAt}"` : ""
+    }>`,
+  ];
+  for (const f of report.files) {
+    const open = `    <testcase classname="svg-power-opt" name="${escapeXml(f.file)}" time="${seconds(f.durationMs)}"`;
+    const body = [];
+    if (!f.success) {
+      body.push(`      <failure message="${escapeXml(f.error || "failed")}"/>`);
+    } else if (f.changed) {
+      body.push(
+        `      <failure message="Not optimized: ${f.savedBytes} bytes (${f.reduction}%) could be saved"/>`
+      );
+    } else if (f.budgetViolations.length) {
+      body.push(`      <failure message="${escapeXml(f.budgetViolations.join("; "))}"/>`);
+    } else if (lintErrors(f).length) {
+      const errors = lintErrors(f);
+      body.push(
+        `      <failure message="${errors.length} lint error${errors.length === 1 ? "" : "s"}">${escapeXml(
+          errors.map(lintLine).join("\n")
+        )}</failure>`
+      );
+    }
+    if (f.savedBytes !== null) {
+      const visual = f.visual
+        ? `; visual diff ${f.visual.rejectedScore ?? f.visual.score}%${
+            f.visual.fallback ? ` (fell back to ${f.visual.fallback})` : ""
+          }`
+        : "";
+      body.push(
+        `      <system-out>${f.originalSize} → ${f.optimizedSize} bytes (${f.reduction}% smaller)${visual}</system-out>`
+      );
+    }
+    const warnings = [
+      ...f.warnings,
+      ...(f.lint || []).filter((d) => d.severity === "warning").map(lintLine),
+    ];
+    if (warnings.length > 0) {
+      body.push(`      <system-err>${escapeXml(warnings.join("\n"))}</system-err>`);
+    }
+    lines.push(body.length ? `${open}>\n${body.join("\n")}\n    </testcase>` : `${open}/>`);
+  }
+  for (const v of setViolations) {
+    lines.push(
+      `    <testcase classname="svg-power-opt.budgets" name="${escapeXml(v.budget)}" time="0.000">`,
+      `      <failure message="${escapeXml(v.message)}"/>`,
+      "    </testcase>"
+    );
+  }
+  lines.push("  </testsuite>", "</testsuites>", "");
+  return lines.join("\n");
+}
+
+const kb = (n) => `${(n / 1024).toFixed(1)} KB`;
+const visualCell = (visual) =>
+  !visual
+    ? "–"
+    : visual.fallback
+      ? `${visual.rejectedScore}% → ${visual.fallback}`
+      : `${visual.score}%`;
+// Pipes would end the table cell early
+const cell = (s) => String(s).replace(/\|/g, "\\|").replace(/\n/g, " ");
+// Cell text outside code spans: GitHub would render "<script> element" as HTML
+const textCell = (s) => cell(s).replace(/</g, "&lt;");
+
+// Status column of the per-file table
+function fileStatus(f) {
+  if (!f.success) return `❌ ${textCell(f.error || "failed")}`;
+  if (f.changed) return "✏️ not optimized";
+  if (f.budgetViolations.length) return `🚫 ${textCell(f.budgetViolations.join("; "))}`;
+  if (f.warnings.length) return `⚠️ ${textCell(f.warnings.join("; "))}`;
+  return "✅";
+}
+
+// --lint: one table row per diagnostic instead of per file
+function formatMarkdownLintReport(report) {
+  const { totals } = report;
+  const problems = report.files.flatMap((f) => (f.lint || []).map((d) => ({ file: f.file, ...d })));
+  const withProblems = new Set(problems.map((p) => p.file)).size;
+  const lines = [
+    "### svg-power-opt lint report",
+    "",
+    (problems.length
+      ? `**${totals.lintErrors} error${totals.lintErrors === 1 ? "" : "s"}**, ` +
+        `${totals.lintWarnings} warning${totals.lintWarnings === 1 ? "" : "s"} in ${withProblems}/${totals.files} files`
+      : `✅ No problems in ${totals.files} files`) +
+      (totals.fixed ? ` · ${totals.fixed} fixed` : "") +
+      (totals.failed ? ` · **${totals.failed} failed**` : ""),
+    "",
+  ];
+  if (problems.length) {
+    lines.push("| File | Line | Severity | Rule | Message |", "| --- | ---: | --- | --- | --- |");
+    for (const p of problems) {
+      lines.push(
+        `| \`${cell(p.file)}\` | ${p.line}:${p.column} | ${p.severity === "error" ? "❌ error" : "⚠️ warning"} | ${
+          p.ruleId ? `\`${p.ruleId}\`` : "–"
+        } | ${textCell(p.message)}${p.fixable ? " (fixable)" : ""} |`
+      );
+    }
+    lines.push("");
+  }
+  for (const f of report.files.filter((file) => !file.success)) {
+    lines.push(`- ❌ \`${cell(f.file)}\`: ${textCell(f.error || "failed")}`);
+  }
+  if (totals.failed) lines.push("");
+  return lines.join("\n");
+}
+
+/**
+ * A summary line plus one table row per file, for PR comments. --lint
+ * reports get one row per diagnostic instead.
+ * @param {object} report - result of buildReport()
+ * @returns {string}
+ */
+export function formatMarkdownReport(report) {
+  if (report.files.some((f) => f.lint)) return formatMarkdownLintReport(report);
+  const { totals } = report;
+  const lines = [
+    "### svg-power-opt report",
+    "",
+    `**${totals.succeeded}/${totals.files}** files optimized` +
+      (totals.failed ? `, **${totals.failed} failed**` : "") +
+      (totals.changed ? `, **${totals.changed} not yet optimized**` : "") +
+      ` · ${kb(totals.originalSize)} → ${kb(totals.optimizedSize)}` +
+      ` (**−${totals.reduction}%**, ${kb(totals.savedBytes)} saved)` +
+      (totals.warnings ? ` · ${totals.warnings} warning${totals.warnings === 1 ? "" : "s"}` : ""),
+    "",
+  ];
+  // Only with --visual-check / --adaptive
+  const showVisual = report.files.some((f) => f.visual);
+  const showMode = report.files.some((f) => f.adaptiveProblems);
+  lines.push(
+    `| File | Original | Optimized | Reduction |${showVisual ? " Visual diff |" : ""}${
+      showMode ? " Mode |" : ""
+    } Status |`,
+    `| --- | ---: | ---: | ---: |${showVisual ? " ---: |" : ""}${showMode ? " --- |" : ""} --- |`
+  );
+  for (const f of report.files) {
+    lines.push(
+      `| \`${cell(f.file)}\` | ${f.originalSize !== null ? kb(f.originalSize) : "–"} | ${
+        f.optimizedSize !== null ? kb(f.optimizedSize) : "–"
+      } | ${f.reduction !== null ? `${f.reduction}%` : "–"} |${
+        showVisual ? ` ${visualCell(f.visual)} |` : ""
+      }${showMode ? ` ${f.mode || "–"} |` : ""} ${fileStatus(f)} |`
+    );
+  }
+  if (report.budgetViolations.length) {
+    lines.push("", `**Budget exceeded** (${report.budgetViolations.length}):`, "");
+    for (const v of report.budgetViolations) lines.push(`- ${textCell(v.message)}`);
+  }
+  lines.push("");
+  return lines.join("\n");
+}
+
+/**
+ * Render a report in the given format.
+ * @param {object} report - result of buildReport()
+ * @param {"json"|"junit"|"markdown"} format
+ * @returns {string}
+ */
+export function formatReport(report, format) {
+  switch (parseReportFormat(format)) {
+    case "junit":
+      return formatJUnitReport(report);
+    case "markdown":
+      return formatMarkdownReport(report);
+    default:
+      return formatJSONReport(report);
+  }
+}
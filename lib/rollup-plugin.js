@@ -0,0 +1,133 @@
+// Rollup plugin, which also works as a Vite plugin.
+//
+// - `import svg from "./icon.svg?raw"`: the optimized markup as a string
+// - `import url from "./icon.svg?url"`: the URL of an emitted, optimized copy
+// - `import uri from "./icon.svg?inline"`: a data: URI (see svgToDataURI)
+// - `.svg` assets in the output (emitted by other plugins or by Vite's asset
+//   handling) are optimized in generateBundle.
+//
+// Plain `import url from "./icon.svg"` is treated as `defaultImport` (default
+// "url") under Rollup; under Vite it is left to Vite's asset handling, and
+// the emitted file is still optimized. The Vite dev server serves `?url`
+// imports itself, unoptimized.
+//
+// Output assets are matched against include/exclude (and config overrides)
+// by the source file they were emitted from, not by their hashed output
+// name. Their [hash] is computed before generateBundle, so it reflects the
+// unoptimized source.
+import fs from "fs-extra";
+import path from "path";
+import { BundlerOptimizer, createFileFilter, parseSvgImport } from "./bundler.js";
+import { svgToDataURI } from "./inline.js";
+
+/**
+ * @param {object} [options] - optimizeSVG() options, plus:
+ * @param {boolean|string|object} [options.config] - project config, as for the webpack plugin
+ * @param {string|RegExp|Array<string|RegExp>} [options.include] - globs/RegExps
+ *   (relative to the project root) of SVGs to optimize
+ * @param {string|RegExp|Array<string|RegExp>} [options.exclude] - SVGs to leave as they are
+ * @param {boolean|number|"auto"} [options.parallel="auto"] - worker threads:
+ *   `"auto"` switches to them for large builds, `true` or a count always uses them
+ * @param {"raw"|"url"|"inline"} [options.defaultImport="url"] - how plain `.svg`
+ *   imports load under Rollup
+ * @returns {object} Rollup/Vite plugin
+ */
+export function svgPowerOptRollupPlugin(options = {}) {
+  const filter = createFileFilter(options);
+  let root = process.cwd();
+  let vite = null; // Vite's resolved config, when running under Vite
+  let optimizer = null;
+  const emitted = new Set(); // reference ids of assets emitted already optimized
+
+  const optimize = (content, file) =>
+    filter(path.relative(root, file)) ? optimizer.optimize(content, file) : content;
+
+  // Absolute path of the file an output asset was emitted from, if the
+  // emitter recorded one (Vite records it root-relative).
+  const sourceOf = (asset) => {
+    const original = asset.originalFileNames?.[0] ?? asset.originalFileName;
+    return original ? path.resolve(root, original) : undefined;
+  };
+  // Without a source path the patterns can't be checked, so only an
+  // unfiltered build optimizes such assets.
+  const unfiltered = options.include === undefined && options.exclude === undefined;
+
+  return {
+    name: "svg-power-opt",
+    // Vite: handle ?raw / ?inline before its own asset plugin does
+    enforce: "pre",
+
+    configResolved(config) {
+      vite = config;
+      root = config.root;
+    },
+
+    async buildStart() {
+      optimizer ||= new BundlerOptimizer(options, { cwd: root });
+      // Rebuild when the project config changes; a config that fails to load
+      // is reported by the first SVG that needs it
+      const configFile = await optimizer.configFile().catch(() => null);
+      if (configFile) this.addWatchFile(configFile);
+    },
+
+    async resolveId(source, importer) {
+      // Vite resolves queries itself; plain Rollup needs the file resolved
+      if (vite) return null;
+      const parsed = parseSvgImport(source);
+      if (!parsed || parsed.file === source) return null;
+      const resolved = await this.resolve(parsed.file, importer, { skipSelf: true });
+      return resolved && `${resolved.id}${source.slice(parsed.file.length)}`;
+    },
+
+    async load(id) {
+      const parsed = parseSvgImport(id);
+      if (!parsed) return null;
+      const kind = parsed.kind || (vite ? null : options.defaultImport || "url");
+      if (!kind) return null;
+      // The dev server can't emit files; Vite serves ?url imports itself
+      if (kind === "url" && vite?.command === "serve") return null;
+      if (vite && !filter(path.relative(root, parsed.file))) return null;
+
+      this.addWatchFile(parsed.file);
+      let svg;
+      try {
+        svg = await optimize(await fs.readFile(parsed.file, "utf-8"), parsed.file);
+        const configFile = await optimizer.configFile();
+        if (configFile) this.addWatchFile(configFile);
+      } catch (e) {
+        this.error(`Failed to optimize ${parsed.file}: ${e.message}`);
+      }
+      if (kind === "raw") return `export default ${JSON.stringify(svg)};`;
+      if (kind === "inline") return `export default ${JSON.stringify(svgToDataURI(svg))};`;
+      const ref = this.emitFile({ type: "asset", name: path.basename(parsed.file), source: svg });
+      emitted.add(ref);
+      return `export default import.meta.ROLLUP_FILE_URL_${ref};`;
+    },
+
+    async generateBundle(outputOptions, bundle) {
+      const done = new Set([...emitted].map((ref) => this.getFileName(ref)));
+      const assets = Object.values(bundle).filter(
+        (file) => file.type === "asset" && /\.svg$/i.test(file.fileName) && !done.has(file.fileName)
+      );
+      await Promise.all(
+        assets.map(async (asset) => {
+          const source = sourceOf(asset);
+          if (source ? !filter(path.relative(root, source)) : !unfiltered) return;
+          try {
+            asset.source = await optimizer.optimize(
+              Buffer.from(asset.source).toString("utf-8"),
+              source
+            );
+          } catch (e) {
+            this.warn(`Kept ${asset.fileName} as is: ${e.message}`);
+          }
+        })
+      );
+    },
+
+    async closeBundle() {
+      emitted.clear();
+      await optimizer?.close();
+    },
+  };
+}
@@ -0,0 +1,352 @@
+// Sanitizing untrusted SVG (uploads, remote URLs) before it is served or
+// inlined. Allowlist-based: elements and attributes that aren't known to be
+// safe are removed, so new attack vectors fail closed. On top of that:
+//
+// - `on*` event handlers are always removed, allowlisted or not
+// - `javascript:` (and any other non-http(s)/mailto) links are removed
+// - href and url() loads of other files or hosts are removed, unless
+//   `allowExternalReferences` allows http(s) ones; raster data: URIs are
+//   allowed on <image>
+// - @import, external url()s and script-capable CSS are stripped from <style>
+//   and style attributes
+// - DOCTYPEs are removed before parsing. SVGO's parser expands internal
+//   entities into live markup, so their references are inlined as escaped
+//   text instead; external (SYSTEM/PUBLIC) entities are never resolved.
+// - xml-stylesheet processing instructions are removed
+//
+// Keep this module free of heavy imports: worker threads load it.
+import { optimize } from "svgo";
+import { detachNodeFromParent } from "./svgo-internals.js";
+import { buildSvgoConfig } from "./plugins.js";
+
+export const DEFAULT_ALLOWED_ELEMENTS = Object.freeze([
+  "svg", "g", "defs", "symbol", "use", "title", "desc", "switch", "view", "a",
+  "style", "path", "rect", "circle", "ellipse", "line", "polyline", "polygon",
+  "text", "tspan", "textPath", "image", "marker", "pattern", "clipPath", "mask",
+  "linearGradient", "radialGradient", "stop", "filter", "feBlend",
+  "feColorMatrix", "feComponentTransfer", "feComposite", "feConvolveMatrix",
+  "feDiffuseLighting", "feDisplacementMap", "feDistantLight", "feDropShadow",
+  "feFlood", "feFuncA", "feFuncB", "feFuncG", "feFuncR", "feGaussianBlur",
+  "feImage", "feMerge", "feMergeNode", "feMorphology", "feOffset",
+  "fePointLight", "feSpecularLighting", "feSpotLight", "feTile", "feTurbulence",
+]);
+
+export const DEFAULT_ALLOWED_ATTRIBUTES = Object.freeze([
+  // Core, styling, accessibility and linking
+  "id", "class", "style", "lang", "xml:lang", "xml:space", "tabindex", "role",
+  "href", "xlink:href", "xlink:title", "target", "type", "media",
+  "version", "baseProfile", "viewBox", "preserveAspectRatio", "zoomAndPan",
+  "requiredFeatures", "requiredExtensions", "systemLanguage",
+  // Geometry
+  "x", "y", "x1", "y1", "x2", "y2", "cx", "cy", "r", "rx", "ry", "fx", "fy",
+  "fr", "d", "points", "width", "height", "pathLength", "transform",
+  "transform-origin",
+  // Paint servers, markers, clipping, masking
+  "offset", "gradientUnits", "gradientTransform", "spreadMethod",
+  "patternUnits", "patternContentUnits", "patternTransform", "clipPathUnits",
+  "maskUnits", "maskContentUnits", "markerUnits", "markerWidth",
+  "markerHeight", "refX", "refY", "orient",
+  // Filters
+  "filterUnits", "primitiveUnits", "in", "in2", "result", "stdDeviation",
+  "dx", "dy", "mode", "operator", "k1", "k2", "k3", "k4", "values",
+  "tableValues", "slope", "intercept", "amplitude", "exponent", "order",
+  "kernelMatrix", "divisor", "bias", "targetX", "targetY", "edgeMode",
+  "kernelUnitLength", "preserveAlpha", "surfaceScale", "diffuseConstant",
+  "specularConstant", "specularExponent", "azimuth", "elevation", "z",
+  "pointsAtX", "pointsAtY", "pointsAtZ", "limitingConeAngle", "scale",
+  "xChannelSelector", "yChannelSelector", "radius", "baseFrequency",
+  "numOctaves", "seed", "stitchTiles",
+  // Text
+  "rotate", "lengthAdjust", "textLength", "startOffset", "method", "spacing",
+  // Presentation attributes
+  "alignment-baseline", "baseline-shift", "clip", "clip-path", "clip-rule",
+  "color", "color-interpolation", "color-interpolation-filters",
+  "color-rendering", "cursor", "direction", "display", "dominant-baseline",
+  "enable-background", "fill", "fill-opacity", "fill-rule", "filter",
+  "flood-color", "flood-opacity", "font", "font-family", "font-size",
+  "font-size-adjust", "font-stretch", "font-style", "font-variant",
+  "font-weight", "glyph-orientation-horizontal", "glyph-orientation-vertical",
+  "image-rendering", "isolation", "kerning", "letter-spacing",
+  "lighting-color", "marker", "marker-end", "marker-mid", "marker-start",
+  "mask", "mix-blend-mode", "opacity", "overflow", "paint-order",
+  "pointer-events", "shape-rendering", "stop-color", "stop-opacity", "stroke",
+  "stroke-dasharray", "stroke-dashoffset", "stroke-linecap",
+  "stroke-linejoin", "stroke-miterlimit", "stroke-opacity", "stroke-width",
+  "text-anchor", "text-decoration", "text-rendering", "unicode-bidi",
+  "vector-effect", "visibility", "word-spacing", "writing-mode",
+]);
+
+const HREF_ATTRS = new Set(["href", "xlink:href"]);
+// Raster images are inert; data:image/svg+xml could carry its own scripts
+const RASTER_DATA_URI = /^data:image\/(png|jpe?g|gif|webp|avif|bmp);/i;
+const URL_FUNCTION = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+// Functions whose plain string arguments are URLs too
+const IMAGE_FUNCTION = /(?:-webkit-)?(?:image-set|cross-fade)\(|\bsrc\(/gi;
+// CSS that can run script or load code in some browser, past or present
+const SCRIPT_CSS = /expression\s*\(|behavio(u)?r\s*:|-moz-binding|javascript:|vbscript:/i;
+const DOCTYPE = /<!DOCTYPE\b[^[>]*(\[[\s\S]*?\])?\s*>/i;
+const ENTITY_DECLARATION = /<!ENTITY\s+(%\s+)?(\S+)\s+(?:(SYSTEM|PUBLIC)\b[^>]*|'([^']*)'|"([^"]*)")\s*>/g;
+const XML_PREDEFINED = new Set(["lt", "gt", "amp", "quot", "apos"]);
+
+const escapeXml = (s) =>
+  s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&apos;");
+
+// What a URL is for policy purposes; browsers ignore whitespace and control
+// characters inside the scheme ("java\tscript:")
+function classifyURL(value) {
+  const url = value.replace(/[\u0000- ]/g, "");
+  if (url === "" || url.startsWith("#")) return "local";
+  if (RASTER_DATA_URI.test(url)) return "raster";
+  if (/^https?:/i.test(url) || url.startsWith("//")) return "remote";
+  if (/^mailto:/i.test(url)) return "mailto";
+  if (/^[a-z][a-z0-9+.-]*:/i.test(url)) return "scheme"; // javascript:, data:text/html, file:, ...
+  return "relative";
+}
+
+const truncate = (s) => (s.length > 80 ? `${s.slice(0, 77)}...` : s);
+
+// Replace the DOCTYPE with nothing and its entity references with their
+// escaped values, before SVGO's parser can expand them into markup
+function inlineDoctype(source, removed) {
+  const match = DOCTYPE.exec(source);
+  if (!match) return source;
+  const entities = new Map();
+  for (const [, parameter, name, external, single, double] of (match[1] || "").matchAll(ENTITY_DECLARATION)) {
+    if (parameter) continue; // Parameter entities only apply inside the DTD
+    entities.set(name, external ? "" : escapeXml(single ?? double));
+    if (external) {
+      removed.push({ type: "entity", name, reason: "external entity (XXE); references removed" });
+    }
+  }
+  removed.push({
+    type: "doctype",
+    name: "DOCTYPE",
+    reason: entities.size ? `DOCTYPE with ${entities.size} entity declaration(s); inlined as text` : "DOCTYPE",
+  });
+  const rest = source.slice(0, match.index) + source.slice(match.index + match[0].length);
+  return rest.replace(/&([A-Za-z_][\w.-]*);/g, (ref, name) =>
+    XML_PREDEFINED.has(name) ? ref : entities.get(name) ?? ref
+  );
+}
+
+// CSS with its escapes decoded, as the browser tokenizes it: "\75 rl(" is
+// "url(" and "@\69mport" is "@import"
+const CSS_ESCAPE = /\\(?:([0-9a-f]{1,6})(?:\r\n|[ \t\n\r\f])?|(\r\n|[\n\r\f])|([\s\S]))/gi;
+function decodeCSSEscapes(css) {
+  return css.replace(CSS_ESCAPE, (_, hex, newline, char) => {
+    if (newline) return ""; // Line continuation in a string
+    if (!hex) return char;
+    const code = parseInt(hex, 16);
+    if (code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) return "\ufffd";
+    return String.fromCodePoint(code);
+  });
+}
+
+// Replace each image-set()/cross-fade()/src() call that has a string argument
+// that isn't an allowed URL with `none`
+function replaceImageFunctions(css, policy, reasons) {
+  let out = "";
+  let last = 0;
+  for (const match of css.matchAll(IMAGE_FUNCTION)) {
+    if (match.index < last) continue; // Nested in a call already replaced
+    let end = match.index + match[0].length;
+    let depth = 1;
+    let quote = null;
+    for (; end < css.length && depth > 0; end++) {
+      const c = css[end];
+      if (quote) {
+        if (c === quote) quote = null;
+      } else if (c === '"' || c === "'") quote = c;
+      else if (c === "(") depth++;
+      else if (c === ")") depth--;
+    }
+    const call = css.slice(match.index, end);
+    const blocked = [...call.matchAll(/(['"])(.*?)\1/g)]
+      .map(([, , target]) => target)
+      .filter((target) => !urlAllowed(target, policy, { load: true }));
+    if (blocked.length === 0) continue;
+    for (const target of blocked) reasons.push(`${match[0]}${truncate(target)})`);
+    out += `${css.slice(last, match.index)}none`;
+    last = end;
+  }
+  return out + css.slice(last);
+}
+
+/**
+ * Sanitize CSS from a <style> element or style attribute. Escaped CSS can't
+ * be edited reliably, so it's checked decoded, and dropped whole if that
+ * finds anything.
+ * @returns {{css:string|null, reasons:string[]}} `css: null` when it can't be kept at all
+ */
+function sanitizeCSS(css, policy) {
+  if (!css.includes("\\")) return cleanCSS(css, policy);
+  const { reasons } = cleanCSS(decodeCSSEscapes(css), policy);
+  if (reasons.length === 0) return { css, reasons };
+  return { css: null, reasons: [...new Set(reasons), "escaped CSS"] };
+}
+
+function cleanCSS(css, policy) {
+  const reasons = [];
+  let clean = css.replace(/@import[^;]*;?/gi, (rule) => {
+    reasons.push(`@import ${truncate(rule.replace(/^@import\s*/i, "").replace(/;$/, ""))}`);
+    return "";
+  });
+  clean = clean.replace(URL_FUNCTION, (fn, quote, target) => {
+    if (urlAllowed(target, policy, { load: true })) return fn;
+    reasons.push(`url(${truncate(target)})`);
+    return "none";
+  });
+  clean = replaceImageFunctions(clean, policy, reasons);
+  if (SCRIPT_CSS.test(clean)) return { css: null, reasons: [...reasons, "script-capable CSS"] };
+  return { css: clean, reasons };
+}
+
+// Whether a URL may stay. `load`: fetched as a resource (href of <use>,
+// <image>, url() ...) rather than navigated to (<a href>).
+function urlAllowed(value, policy, { load, image = false }) {
+  switch (classifyURL(value)) {
+    case "local":
+      return true;
+    case "raster":
+      return image;
+    case "remote":
+      return !load || policy.allowExternalReferences;
+    case "mailto":
+      return !load;
+    default:
+      return false;
+  }
+}
+
+// SVGO plugin applying the policy; everything it strips goes to `removed`
+function sanitizePlugin(policy, removed) {
+  return {
+    name: "svgPowerOptSanitize",
+    fn: () => ({
+      doctype: {
+        enter: (node, parent) => {
+          removed.push({ type: "doctype", name: "DOCTYPE", reason: "DOCTYPE" });
+          detachNodeFromParent(node, parent);
+        },
+      },
+      instruction: {
+        enter: (node, parent) => {
+          if (node.name === "xml") return;
+          removed.push({ type: "instruction", name: node.name, reason: "processing instruction" });
+          detachNodeFromParent(node, parent);
+        },
+      },
+      element: {
+        enter: (node, parent) => {
+          if (!policy.elements.has(node.name)) {
+            removed.push({ type: "element", name: node.name, reason: "element not allowed" });
+            detachNodeFromParent(node, parent);
+            return;
+          }
+          for (const [name, value] of Object.entries(node.attributes)) {
+            const reason = attributeProblem(node, name, value, policy);
+            if (reason) {
+              removed.push({ type: "attribute", name, element: node.name, value: truncate(value), reason });
+              delete node.attributes[name];
+            } else if (name === "style") {
+              const { css, reasons } = sanitizeCSS(value, policy);
+              for (const reason of reasons) {
+                removed.push({ type: "css", name: "style", element: node.name, reason });
+              }
+              if (css === null || !css.trim()) delete node.attributes.style;
+              else node.attributes.style = css;
+            }
+          }
+          if (node.name === "style") {
+            for (const child of node.children) {
+              if (child.type !== "text" && child.type !== "cdata") continue;
+              const { css, reasons } = sanitizeCSS(child.value, policy);
+              for (const reason of reasons) {
+                removed.push({ type: "css", name: "style", element: "style", reason });
+              }
+              child.value = css ?? "";
+            }
+          }
+        },
+      },
+    }),
+  };
+}
+
+function attributeProblem(node, name, value, policy) {
+  if (/^on/i.test(name)) return "event handler";
+  if (name === "xmlns" || name.startsWith("xmlns:")) return null; // Inert declarations
+  if (!policy.attributes.has(name)) return "attribute not allowed";
+  if (HREF_ATTRS.has(name)) {
+    const image = node.name === "image" || node.name === "feImage";
+    if (!urlAllowed(value, policy, { load: node.name !== "a", image })) {
+      return classifyURL(value) === "scheme" ? "script or unsupported URL scheme" : "external reference";
+    }
+  }
+  for (const [, , target] of decodeCSSEscapes(value).matchAll(URL_FUNCTION)) {
+    if (name !== "style" && !urlAllowed(target, policy, { load: true })) return "external reference";
+  }
+  return null;
+}
+
+function resolvePolicy(options) {
+  return {
+    elements: new Set([...(options.elements || DEFAULT_ALLOWED_ELEMENTS), ...(options.allowElements || [])]),
+    attributes: new Set([
+      ...(options.attributes || DEFAULT_ALLOWED_ATTRIBUTES),
+      ...(options.allowAttributes || []),
+    ]),
+    allowExternalReferences: Boolean(options.allowExternalReferences),
+  };
+}
+
+/**
+ * The effective policy of a `sanitize` option (`true` or sanitizeSVG()
+ * options) as plain, sorted data, or null when sanitizing is off. Cached
+ * results are keyed on it.
+ * @param {boolean|object} sanitize
+ * @returns {object|null}
+ */
+export function normalizeSanitizePolicy(sanitize) {
+  if (!sanitize) return null;
+  const policy = resolvePolicy(sanitize === true ? {} : sanitize);
+  return {
+    elements: [...policy.elements].sort(),
+    attributes: [...policy.attributes].sort(),
+    allowExternalReferences: policy.allowExternalReferences,
+  };
+}
+
+/**
+ * Sanitize untrusted SVG markup, optionally optimizing it in the same pass.
+ * @param {string|Buffer} svg
+ * @param {object} [options]
+ * @param {string[]} [options.allowElements] - elements to allow on top of DEFAULT_ALLOWED_ELEMENTS
+ * @param {string[]} [options.allowAttributes] - attributes to allow on top of DEFAULT_ALLOWED_ATTRIBUTES
+ * @param {string[]} [options.elements] - replace the default element allowlist
+ * @param {string[]} [options.attributes] - replace the default attribute allowlist
+ * @param {boolean} [options.allowExternalReferences=false] - keep http(s) loads
+ *   (<use>, <image>, url()); links on <a> are always kept
+ * @param {boolean|object} [options.optimize=false] - also optimize: `true`, or
+ *   optimizeSVG() options (plugins must be loaded objects)
+ * @returns {{data:string, removed:Array<{type:string, name:string, element?:string,
+ *   value?:string, reason:string}>}} the sanitized markup and what was stripped
+ */
+export function sanitizeSVG(svg, options = {}) {
+  const { optimize: optimizeOptions = false, ...policyOptions } = options;
+  const removed = [];
+  const source = inlineDoctype(String(svg), removed);
+  const svgoConfig = optimizeOptions
+    ? buildSvgoConfig(optimizeOptions === true ? {} : optimizeOptions)
+    : { multipass: false, plugins: [] };
+  let result;
+  try {
+    result = optimize(source, {
+      ...svgoConfig,
+      plugins: [sanitizePlugin(resolvePolicy(policyOptions), removed), ...svgoConfig.plugins],
+    });
+  } catch (e) {
+    throw new Error(`SVG sanitization failed: ${e.message}`);
+  }
+  return { data: result.data, removed };
+}
@@ -0,0 +1,133 @@
+// <symbol> sprite sheets: many optimized icons in one SVG, used with
+// <svg><use href="sprite.svg#icon-home"/></svg>.
+//
+// Each icon becomes a <symbol> with the icon's viewBox (and presentation
+// attributes such as fill="none"), and every internal ID (gradients,
+// clipPaths, masks, ...) is prefixed with the symbol ID so icons can't
+// collide. The rewriting runs through SVGO: its prefixIds plugin updates the
+// references (url(#...), href, <style>) along with the IDs.
+import path from "path";
+import { optimize } from "svgo";
+import { optimizeSVGFromFile } from "./optimize.js";
+
+// Root <svg> attributes that don't belong on a <symbol>
+const DROPPED_ROOT_ATTRS = /^(xmlns(:.*)?|width|height|x|y|version|baseProfile|id)$/;
+
+/**
+ * Symbol ID for an icon file: its path relative to `root`, without the
+ * extension, with separators and other unsafe characters turned into "-".
+ * `icons/outline/home.svg` under `icons` → `outline-home`.
+ * @param {string} file
+ * @param {{root?:string, idPrefix?:string}} [options]
+ * @returns {string}
+ */
+export function spriteSymbolId(file, options = {}) {
+  const rel = path
+    .relative(options.root || path.dirname(file), file)
+    .replace(/\.svgz?$/i, "")
+    .split(path.sep)
+    .join("-");
+  const id = `${options.idPrefix || ""}${rel}`.replace(/[^\w-]+/g, "-");
+  return /^[A-Za-z_]/.test(id) ? id : `_${id}`;
+}
+
+// SVGO plugin turning the root <svg> into <symbol id=... viewBox=...>.
+function toSymbolPlugin(id, info) {
+  return {
+    name: "svgPowerOptToSymbol",
+    fn: () => ({
+      element: {
+        enter: (node, parent) => {
+          if (parent.type !== "root" || node.name !== "svg") return;
+          const attrs = node.attributes;
+          let viewBox = attrs.viewBox;
+          if (!viewBox && parseFloat(attrs.width) > 0 && parseFloat(attrs.height) > 0) {
+            viewBox = `0 0 ${parseFloat(attrs.width)} ${parseFloat(attrs.height)}`;
+          }
+          info.viewBox = viewBox || null;
+          const kept = Object.entries(attrs).filter(([name]) => !DROPPED_ROOT_ATTRS.test(name));
+          node.name = "symbol";
+          node.attributes = {
+            id,
+            ...(viewBox ? { viewBox } : {}),
+            ...Object.fromEntries(kept.filter(([name]) => name !== "viewBox")),
+          };
+        },
+      },
+    }),
+  };
+}
+
+/**
+ * Combine optimized icons into one sprite.
+ * @param {Array<{id:string, svg:string}>} icons - optimized markup per symbol ID
+ * @returns {{svg:string, symbols:Array<{id:string, viewBox:string|null}>}}
+ */
+export function buildSprite(icons) {
+  const seen = new Set();
+  const symbols = [];
+  const parts = [];
+  for (const { id, svg } of icons) {
+    if (seen.has(id)) throw new Error(`Duplicate sprite symbol id "${id}"`);
+    seen.add(id);
+    const info = {};
+    const { data } = optimize(svg, {
+      multipass: false,
+      plugins: [
+        { name: "prefixIds", params: { prefix: id, prefixClassNames: false } },
+        toSymbolPlugin(id, info),
+      ],
+    });
+    parts.push(data);
+    symbols.push({ id, viewBox: info.viewBox });
+  }
+  const xlink = parts.some((p) => p.includes("xlink:")) ? ' xmlns:xlink="http://www.w3.org/1999/xlink"' : "";
+  return {
+    svg: `<svg xmlns="http://www.w3.org/2000/svg"${xlink}>${parts.join("")}</svg>`,
+    symbols,
+  };
+}
+
+/**
+ * Optimize icon files and combine them into a sprite.
+ * @param {string[]} files - .svg/.svgz paths
+ * @param {object} [options] - optimizeSVGFromFile() options plus `root`
+ *   and `idPrefix` (see spriteSymbolId)
+ * @returns {Promise<{svg:string, symbols:Array<{id:string, viewBox:string|null, file:string}>}>}
+ */
+export async function createSprite(files, options = {}) {
+  const { root, idPrefix, ...optimizeOptions } = options;
+  const icons = [];
+  for (const file of files) {
+    icons.push({
+      id: spriteSymbolId(file, { root, idPrefix }),
+      svg: await optimizeSVGFromFile(file, optimizeOptions),
+      file,
+    });
+  }
+  const sprite = buildSprite(icons);
+  sprite.symbols.forEach((symbol, i) => (symbol.file = icons[i].file));
+  return sprite;
+}
+
+/**
+ * Manifest of the symbol IDs in a sprite, as JSON or TypeScript.
+ * @param {Array<{id:string, viewBox:string|null}>} symbols
+ * @param {"json"|"ts"} format
+ * @param {{sprite?:string}} [options] - sprite URL/path to record in the manifest
+ * @returns {string}
+ */
+export function formatSpriteManifest(symbols, format, options = {}) {
+  const entries = Object.fromEntries(symbols.map((s) => [s.id, { viewBox: s.viewBox }]));
+  if (format === "ts") {
+    return [
+      "// Generated by svg-power-opt. Do not edit.",
+      ...(options.sprite ? [`export const spriteUrl = ${JSON.stringify(options.sprite)};`] : []),
+      `export const iconIds = ${JSON.stringify(symbols.map((s) => s.id), null, 2)} as const;`,
+      "export type IconId = (typeof iconIds)[number];",
+      `export const icons: Record<IconId, { viewBox: string | null }> = ${JSON.stringify(entries, null, 2)};`,
+      "",
+    ].join("\n");
+  }
+  return `${JSON.stringify({ ...(options.sprite ? { sprite: options.sprite } : {}), symbols: entries }, null, 2)}\n`;
+}
@@ -0,0 +1,6 @@
+// The parts of SVGO's internals we build on: its XML parser and the xast
+// helpers its own plugins use. They aren't part of svgo's public API and can
+// change in any release, so package.json pins svgo to an exact version.
+// Check these imports (and the plugin names in plugins.js) on every upgrade.
+export { parseSvg } from "svgo/lib/parser.js";
+export { detachNodeFromParent, querySelectorAll } from "svgo/lib/xast.js";
@@ -0,0 +1,127 @@
+// Visual regression guard: rasterize an SVG before and after optimization
+// with sharp and measure how many pixels changed.
+//
+// The score is the percentage of pixels (worst size wins) whose premultiplied
+// RGBA differs by more than `tolerance` on any channel. A small tolerance
+// absorbs anti-aliasing noise from harmless rewrites such as path data
+// rounding; real losses (dropped shapes, shifted geometry, wrong colors) show
+// up as whole runs of changed pixels.
+import path from "path";
+import fs from "fs-extra";
+import sharp from "sharp";
+
+export const DEFAULT_VISUAL_SIZES = Object.freeze([32, 256]);
+export const DEFAULT_VISUAL_THRESHOLD = 0.5; // % of pixels
+export const DEFAULT_VISUAL_TOLERANCE = 16; // per channel, 0-255
+
+// Enough resolution to rasterize crisply at `size` without rendering huge
+// bitmaps for documents with a large intrinsic size.
+async function densityFor(input, size) {
+  const { width, height } = await sharp(input).metadata();
+  const largest = Math.max(width || 0, height || 0);
+  if (!largest) return 72;
+  return Math.min(2400, Math.max(1, (72 * size) / largest));
+}
+
+/**
+ * Rasterize SVG markup into a size×size RGBA bitmap (aspect ratio preserved,
+ * transparent letterboxing).
+ * @param {string} svg
+ * @param {number} size - edge length in pixels
+ * @returns {Promise<Buffer>} raw RGBA pixels
+ */
+export async function renderSVG(svg, size) {
+  const input = Buffer.from(svg);
+  return sharp(input, { density: await densityFor(input, size) })
+    .resize(size, size, { fit: "contain", background: { r: 0, g: 0, b: 0, alpha: 0 } })
+    .ensureAlpha()
+    .raw()
+    .toBuffer();
+}
+
+// Count differing pixels and optionally paint them red over a faded copy of
+// the original.
+function diffPixels(a, b, tolerance, paint) {
+  let changed = 0;
+  for (let i = 0; i < a.length; i += 4) {
+    const alphaA = a[i + 3];
+    const alphaB = b[i + 3];
+    let differs = Math.abs(alphaA - alphaB) > tolerance;
+    for (let c = 0; c < 3 && !differs; c++) {
+      // Premultiplied, so color under fully transparent pixels doesn't count
+      differs = Math.abs((a[i + c] * alphaA - b[i + c] * alphaB) / 255) > tolerance;
+    }
+    if (differs) changed++;
+    if (paint) {
+      if (differs) {
+        paint[i] = 255;
+        paint[i + 1] = 0;
+        paint[i + 2] = 0;
+        paint[i + 3] = 255;
+      } else {
+        const gray = (a[i] + a[i + 1] + a[i + 2]) / 3;
+        paint[i] = paint[i + 1] = paint[i + 2] = 255 - (255 - gray) * 0.25;
+        paint[i + 3] = Math.max(alphaA, 48);
+      }
+    }
+  }
+  return changed;
+}
+
+/**
+ * Render two SVGs at each size and compare them pixel by pixel.
+ * @param {string} original
+ * @param {string} optimized
+ * @param {object} [options]
+ * @param {number[]} [options.sizes=[32, 256]] - square render sizes in pixels
+ * @param {number} [options.tolerance=16] - per-channel difference (0-255) still counted as equal
+ * @param {string} [options.diffImage] - write a PNG highlighting changed pixels
+ *   here (`{size}` in the name is replaced by each size); only written for sizes
+ *   that differ
+ * @returns {Promise<{score:number, sizes:Array<{size:number, changedPixels:number,
+ *   score:number}>, diffImages:string[]}>} `score` is the worst per-size
+ *   percentage of changed pixels; 100 when the optimized SVG fails to render
+ */
+export async function compareSVGRenders(original, optimized, options = {}) {
+  const {
+    sizes = DEFAULT_VISUAL_SIZES,
+    tolerance = DEFAULT_VISUAL_TOLERANCE,
+    diffImage,
+  } = options;
+  const results = [];
+  const diffImages = [];
+  for (const size of sizes) {
+    const before = await renderSVG(original, size);
+    let after;
+    try {
+      after = await renderSVG(optimized, size);
+    } catch {
+      results.push({ size, changedPixels: size * size, score: 100 });
+      continue;
+    }
+    const paint = diffImage ? Buffer.alloc(before.length) : null;
+    const changedPixels = diffPixels(before, after, tolerance, paint);
+    results.push({
+      size,
+      changedPixels,
+      score: Number(((changedPixels / (size * size)) * 100).toFixed(3)),
+    });
+    if (paint && changedPixels > 0) {
+      const file = diffImage.includes("{size}")
+        ? diffImage.replace(/\{size\}/g, String(size))
+        : sizes.length > 1
+          ? diffImage.replace(/(\.png)?$/i, `-${size}.png`)
+          : diffImage;
+      await fs.ensureDir(path.dirname(file));
+      await sharp(paint, { raw: { width: size, height: size, channels: 4 } })
+        .png()
+        .toFile(file);
+      diffImages.push(file);
+    }
+  }
+  return {
+    score: Math.max(0, ...results.map((r) => r.score)),
+    sizes: results,
+    diffImages,
+  };
+}
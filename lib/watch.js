@@ -0,0 +1,150 @@
+// Minimal file watcher for the CLI's --watch mode, built on fs.watch so it
+// needs no extra dependency. Uses a single recursive watcher where the
+// platform supports it and falls back to one watcher per directory (Linux
+// on Node < 20). Bursts of events (editors often write a file several times
+// per save) are coalesced into one batch per debounce window.
+import fs from "fs";
+import fg from "fast-glob";
+import path from "path";
+
+/**
+ * Watch `root` for added, changed and removed files.
+ * @param {string} root - directory to watch
+ * @param {object} options
+ * @param {(file:string) => boolean} options.match - which absolute paths matter
+ * @param {(file:string) => boolean} [options.ignore] - paths to never report
+ *   (e.g. the output directory, so outputs aren't re-optimized as inputs)
+ * @param {Iterable<string>} [options.known] - matching files that already exist,
+ *   so removing a whole directory reports each file under it
+ * @param {number} [options.debounce=200] - ms of quiet before a batch is flushed
+ * @param {(batch:{changed:string[], removed:string[]}) => Promise<void>|void} options.onChange
+ * @param {(err:Error) => void} [options.onError]
+ * @returns {{close: () => void}}
+ */
+export function watchFiles(root, options) {
+  const { match, ignore = () => false, debounce = 200, onChange } = options;
+  const onError = options.onError || (() => {});
+  root = path.resolve(root);
+  const known = new Set(options.known || []);
+  const watchers = new Map(); // dir → FSWatcher (fallback mode) or root → recursive watcher
+  const pending = new Set();
+  let timer = null;
+  let running = null;
+  let closed = false;
+
+  const schedule = (file) => {
+    if (closed || ignore(file)) return;
+    pending.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(flush, debounce);
+  };
+
+  const watchDir = (dir, recursive) => {
+    if (watchers.has(dir) || ignore(dir)) return;
+    let w;
+    try {
+      w = fs.watch(dir, { recursive }, (event, filename) => {
+        if (filename) schedule(path.join(dir, filename.toString()));
+        else schedule(dir);
+      });
+    } catch (e) {
+      if (recursive && e.code === "ERR_FEATURE_UNAVAILABLE_ON_PLATFORM") throw e;
+      return; // Directory vanished between listing and watching.
+    }
+    w.on("error", (e) => {
+      // Watching a deleted directory errors on some platforms; drop it.
+      w.close();
+      watchers.delete(dir);
+      if (e.code !== "EPERM" && e.code !== "ENOENT") onError(e);
+    });
+    watchers.set(dir, w);
+  };
+
+  let recursive = true;
+  try {
+    watchDir(root, true);
+  } catch {
+    recursive = false;
+    watchDir(root, false);
+    for (const dir of fg.sync(["**"], { cwd: root, onlyDirectories: true, absolute: true })) {
+      watchDir(path.normalize(dir), false);
+    }
+  }
+
+  async function flush() {
+    timer = null;
+    if (running) {
+      // A batch is in progress; flush again once it's done.
+      await running;
+      if (!timer && pending.size) timer = setTimeout(flush, 0);
+      return;
+    }
+    const paths = [...pending];
+    pending.clear();
+    const changed = new Set();
+    const removed = new Set();
+
+    for (const p of paths) {
+      let st = null;
+      try {
+        st = await fs.promises.stat(p);
+      } catch {
+        // Gone: the file itself, or a directory and everything under it.
+        const prefix = p + path.sep;
+        for (const file of known) {
+          if (file === p || file.startsWith(prefix)) removed.add(file);
+        }
+        if (!recursive) {
+          for (const [dir, w] of watchers) {
+            if (dir === p || dir.startsWith(prefix)) {
+              w.close();
+              watchers.delete(dir);
+            }
+          }
+        }
+        continue;
+      }
+      if (st.isDirectory()) {
+        // New or renamed directory: pick up the files that arrived with it.
+        if (!recursive) {
+          watchDir(p, false);
+          for (const dir of fg.sync(["**"], { cwd: p, onlyDirectories: true, absolute: true })) {
+            watchDir(path.normalize(dir), false);
+          }
+        }
+        for (const file of fg.sync(["**"], { cwd: p, absolute: true })) {
+          const abs = path.normalize(file);
+          if (match(abs) && !ignore(abs)) changed.add(abs);
+        }
+      } else if (st.isFile() && match(p)) {
+        changed.add(p);
+      }
+    }
+
+    for (const file of changed) {
+      removed.delete(file);
+      known.add(file);
+    }
+    for (const file of removed) known.delete(file);
+    if (!changed.size && !removed.size) return;
+
+    running = (async () => {
+      try {
+        await onChange({ changed: [...changed], removed: [...removed] });
+      } catch (e) {
+        onError(e);
+      }
+    })();
+    await running;
+    running = null;
+  }
+
+  return {
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      for (const w of watchers.values()) w.close();
+      watchers.clear();
+    },
+  };
+}
@@ -0,0 +1,50 @@
+// webpack loader: optimizes SVGs imported from JS, before asset modules or
+// other loaders turn them into a URL, data URI or component:
+//
+//   module: {
+//     rules: [{ test: /\.svg$/i, type: "asset", use: "svg-power-opt/lib/webpack-loader.js" }],
+//   }
+//
+// Options are optimizeSVG() options plus `config`, as for the plugin; its
+// override globs are matched against resource paths. webpack caches loader
+// results itself, so unchanged SVGs aren't optimized again.
+import { optimizeSVG, validateSVG, resolvePluginModules } from "./index.js";
+import { applyConfigOptions, loadConfigCached, normalizeConfigOption } from "./config.js";
+
+function projectConfig(config, cwd) {
+  if (!config) return null;
+  if (typeof config === "object") return normalizeConfigOption(config);
+  // Shared by every module, and reloaded once the file changes
+  return loadConfigCached({ cwd, configFile: typeof config === "string" ? config : undefined });
+}
+
+async function optimizeModule(loader, content) {
+  const { config: configOption, ...options } = loader.getOptions();
+  const config = await projectConfig(configOption, loader.rootContext);
+  // Config edits must rebuild the modules they apply to
+  if (config?.filepath) loader.addDependency(config.filepath);
+  const taskOptions = applyConfigOptions(
+    config ? { ...options, config, filePath: loader.resourcePath } : options
+  );
+  const data = optimizeSVG(content, {
+    ...taskOptions,
+    plugins: await resolvePluginModules(taskOptions.plugins),
+  }).data;
+  if (!validateSVG(data)) {
+    loader.emitWarning(new Error(`svg-power-opt: optimized ${loader.resourcePath} is invalid; kept the original`));
+    return content;
+  }
+  return data;
+}
+
+/**
+ * @this {object} webpack loader context
+ * @param {string|Buffer} content - SVG source
+ */
+export default function svgPowerOptLoader(content) {
+  const callback = this.async();
+  optimizeModule(this, String(content)).then(
+    (data) => callback(null, data),
+    (e) => callback(new Error(`svg-power-opt: failed to optimize ${this.resourcePath}: ${e.message}`))
+  );
+}
@@ -1,24 +1,152 @@
-import { optimizeSVGFromBuffer } from "./index.js";
+// webpack 5 plugin: optimizes the .svg assets of a compilation.
+//
+// Runs in processAssets at the OPTIMIZE_SIZE stage, where minimizers run, and
+// marks what it handled as `minimized`. Results are stored in webpack's cache,
+// so watch rebuilds (and, with `cache: { type: "filesystem" }`, fresh builds)
+// only optimize SVGs whose content or options changed. Cache misses can be
+// spread over worker threads with `parallel`.
+//
+// SVGs imported from JS are bundled into modules rather than emitted as
+// assets; ./webpack-loader.js optimizes those.
+import os from "os";
+import path from "path";
+import { optimizeSVG, validateSVG, resolvePluginModules, WorkerPool } from "./index.js";
+import { applyConfigOptions, loadConfigCached, normalizeConfigOption } from "./config.js";
+import { resultCacheKey } from "./cache.js";
+import { normalizeBudgets, budgetForFile, shouldKeepOriginal, checkBudgets } from "./budget.js";
+
+const PLUGIN_NAME = "SvgPowerOptWebpackPlugin";
+// Options of the plugin itself; everything else is passed to optimizeSVG()
+const PLUGIN_OPTIONS = ["config", "budgets", "test", "include", "exclude", "parallel", "failOnError"];
 
 export class SvgPowerOptWebpackPlugin {
+  /**
+   * @param {object} [options] - optimizeSVG() options, plus:
+   * @param {boolean|string|object} [options.config] - `true` loads the nearest
+   *   project config from the compiler context; a string loads that file.
+   *   Override globs are matched against asset names.
+   * @param {object} [options.budgets] - size budgets (default: the config's
+   *   `budgets`); violations fail the compilation
+   * @param {RegExp|string|Array<RegExp|string>} [options.test=/\.svg$/i] - assets to optimize
+   * @param {RegExp|string|Array<RegExp|string>} [options.include] - only these assets
+   * @param {RegExp|string|Array<RegExp|string>} [options.exclude] - never these assets
+   * @param {boolean|number} [options.parallel=false] - optimize cache misses in
+   *   worker threads (`true`: all CPU cores but one); custom plugins must
+   *   then be `{ module }` references
+   * @param {boolean} [options.failOnError=false] - report per-file failures as
+   *   compilation errors instead of warnings
+   */
   constructor(options = {}) {
     this.options = options;
   }
 
+  // Looked up for every compilation, so watch rebuilds see config edits
+  loadProjectConfig(compiler) {
+    const { config } = this.options;
+    if (!config) return null;
+    if (typeof config === "object") return normalizeConfigOption(config);
+    return loadConfigCached({
+      cwd: compiler.context,
+      configFile: typeof config === "string" ? config : undefined,
+    });
+  }
+
   apply(compiler) {
-    compiler.hooks.emit.tapPromise("SvgPowerOptWebpackPlugin", async (compilation) => {
-      const assets = compilation.assets;
-      const svgFiles = Object.keys(assets).filter((name) => /\.svg$/i.test(name));
-
-      await Promise.all(svgFiles.map(async (name) => {
-        const asset = assets[name];
-        const source = asset.source();
-        const optimized = optimizeSVGFromBuffer(Buffer.from(source), this.options);
-        compilation.assets[name] = {
-          source: () => optimized,
-          size: () => Buffer.byteLength(optimized, "utf-8"),
-        };
-      }));
+    const { Compilation, ModuleFilenameHelpers } = compiler.webpack;
+    const { test = /\.svg$/i, include, exclude } = this.options;
+    const matches = (name) => ModuleFilenameHelpers.matchObject({ test, include, exclude }, name);
+
+    compiler.hooks.compilation.tap(PLUGIN_NAME, (compilation) => {
+      compilation.hooks.processAssets.tapPromise(
+        { name: PLUGIN_NAME, stage: Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE_SIZE },
+        (assets) => this.optimizeAssets(compiler, compilation, Object.keys(assets).filter(matches))
+      );
+      // Show the "[minimized]" flag in stats output, like other minimizers
+      compilation.hooks.statsPrinter.tap(PLUGIN_NAME, (stats) => {
+        stats.hooks.print
+          .for("asset.info.minimized")
+          .tap(PLUGIN_NAME, (minimized, { green, formatFlag }) =>
+            minimized ? green(formatFlag("minimized")) : ""
+          );
+      });
     });
   }
+
+  async optimizeAssets(compiler, compilation, names) {
+    const { WebpackError, sources } = compiler.webpack;
+    const config = await this.loadProjectConfig(compiler);
+    // Editing the config triggers a watch rebuild
+    if (config?.filepath) compilation.fileDependencies.add(config.filepath);
+    const { budgets: rawBudgets, parallel = false, failOnError = false } = this.options;
+    const options = Object.fromEntries(
+      Object.entries(this.options).filter(([key]) => !PLUGIN_OPTIONS.includes(key))
+    );
+    // Budget globs match asset names, like config overrides
+    const budgets = rawBudgets
+      ? normalizeBudgets(rawBudgets, config ? config.rootDir : compiler.context)
+      : config && normalizeBudgets(config.budgets, config.rootDir);
+    const cache = compilation.getCache(PLUGIN_NAME);
+    const report = (name, message) => {
+      const error = new WebpackError(`${PLUGIN_NAME}: ${name}: ${message}`);
+      error.file = name;
+      (failOnError ? compilation.errors : compilation.warnings).push(error);
+    };
+
+    // Look every asset up in the cache first; only misses get optimized
+    const entries = [];
+    for (const name of names) {
+      const { source: inputSource, info } = compilation.getAsset(name);
+      if (info.minimized) continue; // Already handled, e.g. by an earlier instance
+      try {
+        const content = inputSource.source().toString();
+        const taskOptions = applyConfigOptions(
+          config ? { ...options, config, filePath: path.join(config.rootDir, name) } : options
+        );
+        // The key hashes the loaded plugin code, not just module paths
+        const plugins = await resolvePluginModules(taskOptions.plugins);
+        const itemCache = cache.getItemCache(name, resultCacheKey(content, { ...taskOptions, plugins }));
+        const cached = await itemCache.getPromise();
+        entries.push({ name, inputSource, content, taskOptions, plugins, itemCache, cached });
+      } catch (e) {
+        report(name, e.message);
+      }
+    }
+
+    const misses = entries.filter((entry) => !entry.cached);
+    const poolSize = parallel === true ? Math.max(1, os.cpus().length - 1) : Number(parallel) || 0;
+    const pool =
+      poolSize > 0 && misses.length > 1 ? new WorkerPool(Math.min(poolSize, misses.length)) : null;
+    try {
+      await Promise.all(
+        misses.map(async (entry) => {
+          try {
+            const data = pool
+              ? await pool.run(entry.content, entry.taskOptions)
+              : optimizeSVG(entry.content, { ...entry.taskOptions, plugins: entry.plugins }).data;
+            if (!validateSVG(data)) throw new Error("optimized SVG is invalid; kept the original");
+            entry.cached = new sources.RawSource(data);
+            await entry.itemCache.storePromise(entry.cached);
+          } catch (e) {
+            report(entry.name, e.message);
+          }
+        })
+      );
+    } finally {
+      if (pool) await pool.close();
+    }
+
+    const sizes = [];
+    for (const { name, inputSource, content, cached } of entries) {
+      const originalSize = Buffer.byteLength(content, "utf-8");
+      // Failed files and files below the minReduction budget stay as they are
+      const keep =
+        !cached || shouldKeepOriginal(budgetForFile(budgets, name), originalSize, cached.size());
+      compilation.updateAsset(name, keep ? inputSource : cached, { minimized: true });
+      sizes.push({ file: name, size: keep ? originalSize : cached.size() });
+    }
+
+    for (const violation of checkBudgets(budgets, sizes)) {
+      compilation.errors.push(new WebpackError(`${PLUGIN_NAME}: ${violation.message}`));
+    }
+  }
 }
@@ -3,44 +3,31 @@
 // host's cores instead of being bottlenecked by SVGO blocking the event loop.
 import { parentPort, workerData } from "worker_threads";
 import { optimize } from "svgo";
-
-// Rebuild the exact same plugin table as the main library. We intentionally
-// do not import from lib/index.js to avoid pulling sharp/fs-extra into every
-// worker thread (they're heavy to initialize and we don't need them here).
-const safePlugins = [
-  "cleanupAttrs","removeDoctype","removeXMLProcInst","removeComments",
-  "removeMetadata","removeTitle","removeDesc","removeUselessDefs",
-  "removeEditorsNSData","removeEmptyAttrs","removeHiddenElems","removeEmptyText",
-  "removeEmptyContainers","cleanupEnableBackground","convertStyleToAttrs",
-  "convertColors","convertPathData","convertTransform",
-  "removeUnknownsAndDefaults","removeNonInheritableGroupAttrs",
-  "removeUselessStrokeAndFill","mergePaths","removeDimensions",
-];
-const aggressivePlugins = [
-  "sortAttrs",
-  { name: "removeAttrs", params: { attrs: "(class|data-name)" } },
-];
-
-function buildConfig(aggressive) {
-  const all = aggressive ? [...safePlugins, ...aggressivePlugins] : safePlugins;
-  return all.map((p) => (typeof p === "string" ? { name: p } : p));
-}
-
-const configSafe = buildConfig(false);
-const configAggressive = buildConfig(true);
+// The plugin table lives in lib/plugins.js, shared with the main library so
+// worker output is byte-identical to optimizeSVG(). We intentionally do not
+// import lib/index.js to avoid pulling sharp/fs-extra into every worker
+// thread (they're heavy to initialize and we don't need them here).
+import { buildSvgoConfig, resolvePluginModules } from "./plugins.js";
+import { sanitizeSVG } from "./sanitize.js";
 
 // workerData may include default options; per-task options override them.
 const defaults = workerData?.defaults || {};
 
-parentPort.on("message", (task) => {
+parentPort.on("message", async (task) => {
   const { id, content, options = {} } = task;
   try {
-    const merged = { ...defaults, ...options };
-    const { aggressive = false, multipass = true } = merged;
-    const plugins = aggressive ? configAggressive : configSafe;
-    const result = optimize(content, { multipass, plugins });
+    const { sanitize, ...merged } = { ...defaults, ...options };
+    // `{ module }` plugin references are imported here, once per thread.
+    merged.plugins = await resolvePluginModules(merged.plugins);
+    // Same branch as optimizeSVG()
+    const result = sanitize
+      ? sanitizeSVG(content, { ...(sanitize === true ? {} : sanitize), optimize: merged })
+      : optimize(content, buildSvgoConfig(merged));
     parentPort.postMessage({ id, ok: true, data: result.data });
   } catch (e) {
     parentPort.postMessage({ id, ok: false, error: e.message });
   }
 });
+
+// Lets the pool tell a worker that can't even load from one that crashed on a task.
+parentPort.postMessage({ ready: true });